@@ -0,0 +1,256 @@
+#!/usr/bin/env node
+// Headless entry point: runs the same analysis as the app, without Electron.
+const { parseArgs } = require('util');
+const fs = require('fs').promises;
+const path = require('path');
+
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_PROBLEMS = 2;
+const EXIT_CANCELLED = 130;
+
+const FORMATS = ['json', 'csv', 'tsv', 'html', 'xlsx', 'fcpxml', 'xmeml', 'edl', 'multicam'];
+
+const USAGE = `Usage: sony-analyzer analyze <folder> [options]
+
+Options:
+  --format <json|csv|tsv|html|xlsx|fcpxml|xmeml|edl|multicam>
+                                Report format (default: json; xlsx needs --out)
+                                fcpxml/xmeml: clip lists for Final Cut, Resolve, Premiere
+                                edl: one CMX3600 EDL per camera, --out is a folder
+                                multicam: FCPXML multicam clips of the sync groups
+  --out <file>                  Write the report to a file instead of stdout
+  --rows <clip|camera>          CSV/TSV: one row per clip (default) or per camera
+  --columns <a,b,...>           CSV/TSV: column ids in output order
+  --bom                         CSV/TSV: start with a UTF-8 BOM (for Excel)
+  --camera-offset <serial=sec>  Multicam: shift a camera's clips by this many seconds
+                                (repeatable; for cameras synced by recording date)
+  --clock-offset <serial=sec>   Correct a camera's recording dates by this many seconds
+                                before grouping and export (repeatable; see clockReport)
+  --labels <file>               Camera labels, operators and colours by serial
+                                (the app's camera-labels.json)
+  --no-thumbnails               Skip thumbnail extraction (no ffmpeg)
+  --index <file>                Reuse results for unchanged files from this index file
+  --full-rescan                 Ignore the index and re-read every file
+  --concurrency <n>             Metadata workers (default: number of CPU cores)
+  --quiet                       No progress output
+  --verbose                     Show the analyzer's own log output
+  -h, --help                    Show this help
+
+Exit codes:
+  0    Analysis finished, no problems found
+  1    Analysis failed or invalid arguments
+  2    Problems found: card issues (missing/truncated clips...), mixed folders or unknown files
+  130  Cancelled (Ctrl+C); partial results are still written`;
+
+function parseCommandLine(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            format: { type: 'string', default: 'json' },
+            out: { type: 'string' },
+            rows: { type: 'string', default: 'clip' },
+            columns: { type: 'string' },
+            bom: { type: 'boolean', default: false },
+            'camera-offset': { type: 'string', multiple: true, default: [] },
+            'clock-offset': { type: 'string', multiple: true, default: [] },
+            labels: { type: 'string' },
+            'no-thumbnails': { type: 'boolean', default: false },
+            index: { type: 'string' },
+            'full-rescan': { type: 'boolean', default: false },
+            concurrency: { type: 'string' },
+            quiet: { type: 'boolean', default: false },
+            verbose: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    const [command, folder] = positionals;
+    if (values.help) return { help: true };
+    if (command !== 'analyze' || !folder) throw new Error('Expected: analyze <folder>');
+    if (!FORMATS.includes(values.format)) throw new Error(`Unknown format "${values.format}" (use ${FORMATS.join(', ')})`);
+    if (values.format === 'xlsx' && !values.out) throw new Error('--format xlsx needs --out <file>');
+    if (values.format === 'edl' && !values.out) throw new Error('--format edl needs --out <folder>');
+
+    const concurrency = values.concurrency !== undefined ? Number(values.concurrency) : undefined;
+    if (concurrency !== undefined && !(concurrency >= 1)) throw new Error('--concurrency must be a number >= 1');
+
+    return {
+        ...values,
+        folder: path.resolve(folder),
+        concurrency,
+        offsets: parseCameraSeconds(values['camera-offset'], '--camera-offset'),
+        clockOffsets: parseCameraSeconds(values['clock-offset'], '--clock-offset')
+    };
+}
+
+// ["<serial>=<seconds>", ...] -> { serial: seconds }
+function parseCameraSeconds(entries, flag) {
+    const seconds = {};
+    for (const entry of entries) {
+        const match = /^(.+)=(-?\d+(?:\.\d+)?)$/.exec(entry);
+        if (!match) throw new Error(`${flag} expects <serial>=<seconds>, got "${entry}"`);
+        seconds[match[1]] = Number(match[2]);
+    }
+    return seconds;
+}
+
+// One line per step (and every 10%) on a log file; a single updating line on a terminal
+function createProgressPrinter(quiet) {
+    if (quiet) return () => {};
+    const interactive = process.stderr.isTTY;
+    let lastStep = null;
+    let lastDecile = -1;
+
+    return ({ step, message, progress }) => {
+        const line = `[${String(progress).padStart(3)}%] ${step.padEnd(8)} ${message}`;
+        if (interactive) {
+            const width = (process.stderr.columns || 120) - 1;
+            process.stderr.write(`\r${line.slice(0, width).padEnd(width)}`);
+            if (step === 'done') process.stderr.write('\n');
+            return;
+        }
+        const decile = Math.floor(progress / 10);
+        if (step !== lastStep || decile !== lastDecile) {
+            process.stderr.write(`${line}\n`);
+            lastStep = step;
+            lastDecile = decile;
+        }
+    };
+}
+
+function listProblems(results) {
+    const problems = [];
+    for (const card of results.cardHealth || []) {
+        if (card.issueCount > 0) problems.push(`Card ${card.card}: ${card.issueCount} issue(s)`);
+    }
+    if (results.mixedFolders.length > 0) problems.push(`${results.mixedFolders.length} mixed folder(s)`);
+    if (results.unknownFiles.length > 0) problems.push(`${results.unknownFiles.length} unknown file(s)`);
+    return problems;
+}
+
+async function renderReport(results, args) {
+    const format = args.format;
+    if (format === 'csv' || format === 'tsv') {
+        const { renderCsvReport } = require('../lib/csvReport.cjs');
+        return renderCsvReport(results, {
+            format,
+            rowMode: args.rows,
+            columns: args.columns ? args.columns.split(',').map(c => c.trim()).filter(Boolean) : undefined,
+            bom: args.bom
+        });
+    }
+    if (format === 'xlsx') {
+        const { renderXlsxReport } = require('../lib/xlsxReport.cjs');
+        return renderXlsxReport(results);
+    }
+    if (format === 'fcpxml' || format === 'xmeml') {
+        const { renderFcpxml, renderXmeml } = require('../lib/nleExport.cjs');
+        return format === 'fcpxml' ? renderFcpxml(results) : renderXmeml(results);
+    }
+    if (format === 'multicam') {
+        const { renderMulticamFcpxml } = require('../lib/multicam.cjs');
+        return renderMulticamFcpxml(results, { offsets: args.offsets });
+    }
+    if (format === 'html') {
+        const { renderHtmlReport } = require('../lib/htmlReport.cjs');
+        return renderHtmlReport(results);
+    }
+    return JSON.stringify(results, null, 2);
+}
+
+async function writeReport(report, args) {
+    if (args.out) {
+        await fs.writeFile(args.out, report);
+        if (!args.quiet) process.stderr.write(`Report written to ${path.resolve(args.out)}\n`);
+    } else {
+        process.stdout.write(report.endsWith('\n') ? report : `${report}\n`);
+    }
+}
+
+async function main() {
+    let args;
+    try {
+        args = parseCommandLine(process.argv.slice(2));
+    } catch (error) {
+        process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+        return EXIT_ERROR;
+    }
+    if (args.help) {
+        process.stdout.write(`${USAGE}\n`);
+        return EXIT_OK;
+    }
+
+    // The analyzer logs to stdout; keep stdout clean for the report
+    if (!args.verbose) console.log = () => {};
+    if (args.quiet && !args.verbose) console.error = () => {};
+
+    const { analyzeFootage } = require('../lib/analyzer.cjs');
+    const { createAnalysisControl } = require('../lib/analysisControl.cjs');
+    const { closeExifTool } = require('../lib/videoMetadata.cjs');
+
+    const control = createAnalysisControl();
+    process.on('SIGINT', () => {
+        if (control.cancelled) process.exit(EXIT_CANCELLED);
+        process.stderr.write('\nCancelling... (press Ctrl+C again to quit immediately)\n');
+        control.cancel();
+    });
+
+    try {
+        await fs.access(args.folder);
+        if (args.labels) await fs.access(args.labels);
+        let results = await analyzeFootage(args.folder, createProgressPrinter(args.quiet), {
+            thumbnails: !args['no-thumbnails'],
+            indexPath: args.index ? path.resolve(args.index) : undefined,
+            forceRescan: args['full-rescan'],
+            concurrency: args.concurrency ? { metadata: args.concurrency } : undefined,
+            control
+        });
+        if (args.labels) {
+            const { loadCameraLabels, applyCameraLabels } = require('../lib/cameraLabels.cjs');
+            results = applyCameraLabels(results, await loadCameraLabels(path.resolve(args.labels)));
+        }
+        if (Object.keys(args.clockOffsets).length > 0) {
+            const { applyClockCorrections } = require('../lib/clockCheck.cjs');
+            results = applyClockCorrections(results, args.clockOffsets);
+        }
+        if (!args.quiet) {
+            for (const report of results.clockReport || []) {
+                if (report.issues.length === 0) continue;
+                process.stderr.write(`Clock: ${report.model} ${report.cameraId} (suggested --clock-offset ${report.cameraId}=${report.estimatedOffset})\n`);
+                for (const issue of report.issues) process.stderr.write(`  - ${issue.message}\n`);
+            }
+        }
+
+        if (args.format === 'edl') {
+            const { renderEdls } = require('../lib/nleExport.cjs');
+            const files = renderEdls(results);
+            await fs.mkdir(args.out, { recursive: true });
+            for (const file of files) {
+                await fs.writeFile(path.join(args.out, file.fileName), file.content);
+            }
+            if (!args.quiet) process.stderr.write(`${files.length} EDL file(s) written to ${path.resolve(args.out)}\n`);
+        } else {
+            await writeReport(await renderReport(results, args), args);
+        }
+
+        if (results.cancelled) return EXIT_CANCELLED;
+
+        const problems = listProblems(results);
+        if (problems.length > 0) {
+            if (!args.quiet) process.stderr.write(`Problems found:\n${problems.map(p => `  - ${p}`).join('\n')}\n`);
+            return EXIT_PROBLEMS;
+        }
+        return EXIT_OK;
+    } catch (error) {
+        process.stderr.write(`Analysis failed: ${error.message}\n`);
+        return EXIT_ERROR;
+    } finally {
+        closeExifTool();
+    }
+}
+
+main().then(code => {
+    process.exitCode = code;
+});
@@ -0,0 +1,71 @@
+/**
+ * Cancel / pause / resume handle for a running analysis. The analyzer calls
+ * checkpoint() between files; external work (ffmpeg, exiftool) registers a
+ * kill function with track() so cancel() can stop it mid-file.
+ */
+function createAnalysisControl() {
+    const inFlight = new Set();
+    let cancelled = false;
+    let paused = false;
+    let resumeWaiters = [];
+
+    const wakeUp = () => {
+        const waiters = resumeWaiters;
+        resumeWaiters = [];
+        waiters.forEach(resolve => resolve());
+    };
+
+    return {
+        get cancelled() {
+            return cancelled;
+        },
+
+        get paused() {
+            return paused;
+        },
+
+        cancel() {
+            if (cancelled) return;
+            cancelled = true;
+            paused = false;
+            for (const kill of inFlight) {
+                try {
+                    kill();
+                } catch (error) {
+                    console.error('Error stopping in-flight work:', error.message);
+                }
+            }
+            inFlight.clear();
+            wakeUp();
+        },
+
+        pause() {
+            if (!cancelled) paused = true;
+        },
+
+        resume() {
+            paused = false;
+            wakeUp();
+        },
+
+        // Resolves once the run may continue; returns false when it was cancelled
+        async checkpoint() {
+            while (paused && !cancelled) {
+                await new Promise(resolve => resumeWaiters.push(resolve));
+            }
+            return !cancelled;
+        },
+
+        // Register a kill function for the duration of `task`
+        async track(kill, task) {
+            inFlight.add(kill);
+            try {
+                return await task();
+            } finally {
+                inFlight.delete(kill);
+            }
+        }
+    };
+}
+
+module.exports = { createAnalysisControl };
@@ -0,0 +1,79 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Bump when the shape of stored metadata changes; older indexes are discarded
+// (3: rendered thumbnails moved to the collision-free thumbnail cache)
+const INDEX_VERSION = 3;
+
+function isInside(parent, child) {
+    const relative = path.relative(path.resolve(parent), path.resolve(child));
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+function sameFile(entry, stats) {
+    return entry.size === stats.size && entry.mtimeMs === stats.mtimeMs && entry.ino === stats.ino;
+}
+
+async function readIndexFile(indexPath) {
+    try {
+        const index = JSON.parse(await fs.readFile(indexPath, 'utf-8'));
+        if (index.version === INDEX_VERSION && index.files) return index;
+        console.log(`🗃️  Analysis index ${indexPath} is from another version, starting fresh`);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Error reading analysis index ${indexPath}:`, error.message);
+        }
+    }
+    return { version: INDEX_VERSION, files: {} };
+}
+
+/**
+ * On-disk cache of per-file analysis results, keyed by path and validated by
+ * size, mtime and inode. Without an indexPath every lookup misses and nothing
+ * is written, so callers can use it unconditionally.
+ */
+async function openAnalysisIndex(indexPath, { forceRescan = false } = {}) {
+    const index = indexPath ? await readIndexFile(indexPath) : { version: INDEX_VERSION, files: {} };
+    const seen = new Set();
+
+    return {
+        lookup(filePath, stats) {
+            seen.add(filePath);
+            const entry = index.files[filePath];
+            if (forceRescan || !entry || !sameFile(entry, stats)) return null;
+            return entry;
+        },
+
+        store(filePath, stats, metadata, thumbnailPath, thumbnailSkipped = false) {
+            seen.add(filePath);
+            index.files[filePath] = {
+                size: stats.size,
+                mtimeMs: stats.mtimeMs,
+                ino: stats.ino,
+                metadata,
+                thumbnailPath: thumbnailPath || null,
+                thumbnailSkipped,
+                indexedAt: new Date().toISOString()
+            };
+        },
+
+        // Drop entries under the analyzed root that were not seen this run, then write atomically.
+        // An incomplete (cancelled) run never looked at the files it skipped, so it prunes nothing.
+        async save(rootPath, { complete = true } = {}) {
+            if (!indexPath) return;
+            for (const filePath of Object.keys(index.files)) {
+                if (complete && !seen.has(filePath) && isInside(rootPath, filePath)) {
+                    delete index.files[filePath];
+                }
+            }
+
+            await fs.mkdir(path.dirname(indexPath), { recursive: true });
+            const tempPath = `${indexPath}.tmp`;
+            await fs.writeFile(tempPath, JSON.stringify(index));
+            await fs.rename(tempPath, indexPath);
+            console.log(`🗃️  Analysis index saved: ${Object.keys(index.files).length} file(s)`);
+        }
+    };
+}
+
+module.exports = { openAnalysisIndex };
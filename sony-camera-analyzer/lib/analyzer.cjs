@@ -1,6 +1,13 @@
 const xmlParser = require('./xmlParser.cjs');
-const { extractMetadata, closeExifTool } = require('./videoMetadata.cjs');
-const { generateThumbnail } = require('./thumbnail.cjs');
+const { extractMetadata, configureExifTool } = require('./videoMetadata.cjs');
+const { resolveThumbnailPath, touchThumbnail } = require('./thumbnail.cjs');
+const { openAnalysisIndex } = require('./analysisIndex.cjs');
+const { createLimiter, createKeyedLimiter, getDeviceId, defaultConcurrency } = require('./workPool.cjs');
+const { findDuplicateGroups } = require('./duplicates.cjs');
+const { createAnalysisControl } = require('./analysisControl.cjs');
+const { getCardRoot } = require('./cardRoot.cjs');
+const { findSyncGroups } = require('./multicam.cjs');
+const { checkCameraClocks } = require('./clockCheck.cjs');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -34,6 +41,7 @@ async function findVideoFiles(dir) {
 function buildCameraRegistry(xmlData) {
     const registry = {};
     const videoToCameraMap = {}; // Map video file paths to camera serial
+    const clipManifestMap = {}; // Map video/proxy paths to their MEDIAPRO Material entry
 
     for (const data of xmlData) {
         if (data.serialNumber) {
@@ -47,33 +55,275 @@ function buildCameraRegistry(xmlData) {
                     videoToCameraMap[normalizedPath] = data.serialNumber;
                 }
             }
+
+            for (const clip of data.clips || []) {
+                clipManifestMap[path.normalize(clip.filePath).toLowerCase()] = clip;
+                if (clip.proxyPath) {
+                    clipManifestMap[path.normalize(clip.proxyPath).toLowerCase()] = clip;
+                }
+            }
         }
     }
 
-    return { registry, videoToCameraMap };
+    return { registry, videoToCameraMap, clipManifestMap };
 }
 
-function groupByCamera(videoMetadata, cameraRegistry, videoToCameraMap) {
-    const cameras = {};
-    const unknown = [];
+// Tolerances used when cross-checking MEDIAPRO attributes against exiftool
+const DURATION_TOLERANCE_SECONDS = 1;
+const FPS_TOLERANCE = 0.01;
+
+function getManifestAttributes(videoPath, clipManifestMap) {
+    const clip = clipManifestMap[path.normalize(videoPath).toLowerCase()];
+    if (!clip) return null;
+
+    const isProxy = clip.proxyPath && path.normalize(clip.proxyPath).toLowerCase() === path.normalize(videoPath).toLowerCase();
+    return isProxy ? clip.proxyAttributes : clip.attributes;
+}
+
+function findMetadataConflicts(video, manifest) {
+    const conflicts = [];
+
+    if (typeof video.duration === 'number' && manifest.duration !== null &&
+        Math.abs(video.duration - manifest.duration) > DURATION_TOLERANCE_SECONDS) {
+        conflicts.push({ field: 'duration', manifest: manifest.duration, exiftool: video.duration });
+    }
+    if (video.width && manifest.width && (video.width !== manifest.width || video.height !== manifest.height)) {
+        conflicts.push({
+            field: 'resolution',
+            manifest: `${manifest.width}x${manifest.height}`,
+            exiftool: `${video.width}x${video.height}`
+        });
+    }
+    if (typeof video.frameRate === 'number' && manifest.fps &&
+        Math.abs(video.frameRate - manifest.fps) > FPS_TOLERANCE) {
+        conflicts.push({ field: 'frameRate', manifest: manifest.fps, exiftool: video.frameRate });
+    }
+
+    return conflicts;
+}
+
+// MEDIAPRO Material attributes: stored per clip, used to fill gaps left by
+// exiftool (timeouts on large XAVC files) and cross-checked where both exist.
+function applyManifestMetadata(videoMetadata, clipManifestMap) {
+    let conflictCount = 0;
+
+    for (const video of videoMetadata) {
+        const manifest = getManifestAttributes(video.filePath, clipManifestMap);
+        if (!manifest) continue;
+
+        const clip = clipManifestMap[path.normalize(video.filePath).toLowerCase()];
+        video.manifest = manifest;
+        video.mediaId = clip.mediaId;
+        // Main clips keep the MEDIAPRO Proxy URI so exports can link the two
+        if (clip.proxyPath && manifest === clip.attributes) {
+            video.proxyPath = clip.proxyPath;
+        }
+        video.codec = video.codec || manifest.codec;
+        video.umid = video.umid || manifest.umid;
+
+        const conflicts = findMetadataConflicts(video, manifest);
+        if (conflicts.length > 0) {
+            video.metadataConflicts = conflicts;
+            conflictCount++;
+            console.log(`⚠️  XML/exiftool mismatch for ${path.basename(video.filePath)}: ${conflicts.map(c => c.field).join(', ')}`);
+        }
+
+        const filled = [];
+        if ((video.duration === undefined || video.duration === null) && manifest.duration !== null) {
+            video.duration = manifest.duration;
+            filled.push('duration');
+        }
+        if (!video.width && manifest.width) {
+            video.width = manifest.width;
+            video.height = manifest.height;
+            video.resolution = `${manifest.width}x${manifest.height}`;
+            filled.push('resolution');
+        }
+        if (!video.frameRate && manifest.fps) {
+            video.frameRate = manifest.fps;
+            filled.push('frameRate');
+        }
+        if (!video.format && manifest.type) {
+            video.format = manifest.type;
+            filled.push('format');
+        }
+        if (filled.length > 0) {
+            video.filledFromManifest = filled;
+        }
+    }
+
+    return conflictCount;
+}
+
+// The clip's M01 sidecar if it is actually on disk; a missing one is reported by card health, not here
+async function findClipSidecar(videoPath, clipManifestMap) {
+    const clip = clipManifestMap[path.normalize(videoPath).toLowerCase()];
+    const baseName = path.basename(videoPath, path.extname(videoPath));
+    const candidates = [
+        clip && clip.sidecarPath,
+        // Fallback: Sony naming convention, C0073.MP4 -> C0073M01.XML next to the clip
+        ...[`${baseName}M01.XML`, `${baseName}M01.xml`].map(name => path.join(path.dirname(videoPath), name))
+    ].filter(Boolean);
+
+    for (const candidate of candidates) {
+        try {
+            await fs.access(candidate);
+            return candidate;
+        } catch {
+            // Not found, continue
+        }
+    }
+    return null;
+}
+
+async function attachClipSidecars(videoMetadata, clipManifestMap) {
+    const sidecarCache = {};
+    let attached = 0;
 
     for (const video of videoMetadata) {
-        let serial = video.serialNumber;
-
-        // If no serial from video metadata, try to match from XML mapping
-        if (!serial && video.filePath) {
-            const normalizedPath = path.normalize(video.filePath).toLowerCase();
-            serial = videoToCameraMap[normalizedPath];
-
-            if (serial) {
-                console.log(`✓ Matched ${path.basename(video.filePath)} to camera ${serial} via XML`);
-                // Update video metadata with camera info
-                video.serialNumber = serial;
-                if (cameraRegistry[serial]) {
-                    video.model = cameraRegistry[serial].model;
+        const sidecarPath = await findClipSidecar(video.filePath, clipManifestMap);
+        if (!sidecarPath) continue;
+
+        if (!(sidecarPath in sidecarCache)) {
+            sidecarCache[sidecarPath] = await xmlParser.parseClipSidecar(sidecarPath);
+        }
+        const clipMeta = sidecarCache[sidecarPath];
+        if (!clipMeta) continue;
+
+        // Sidecar values fill in what exiftool left empty; they never override it
+        for (const [key, value] of Object.entries(clipMeta)) {
+            if (value !== null && (video[key] === undefined || video[key] === null)) {
+                video[key] = value;
+            }
+        }
+        if (!video.frameRate && clipMeta.formatFps) {
+            video.frameRate = clipMeta.formatFps;
+        }
+        video.sidecarPath = sidecarPath;
+        attached++;
+    }
+
+    return attached;
+}
+
+// A file is considered truncated when it is far below dur x bitrate
+const TRUNCATION_RATIO = 0.5;
+
+async function statOrNull(filePath) {
+    try {
+        return await fs.stat(filePath);
+    } catch {
+        return null;
+    }
+}
+
+// Compare each card's MEDIAPRO manifest with the files actually on disk
+async function verifyCardIntegrity(xmlData, videoFiles) {
+    const cards = [];
+    const normalize = (p) => path.normalize(p).toLowerCase();
+
+    for (const data of xmlData) {
+        if (!data.clips || data.clips.length === 0) continue;
+
+        const manifestDir = path.dirname(data.sourceFile);
+        const cardRoot = getCardRoot(data.sourceFile);
+        const report = {
+            card: path.basename(cardRoot),
+            cardRoot,
+            manifestPath: data.sourceFile,
+            serialNumber: data.serialNumber,
+            model: data.model,
+            clipCount: data.clips.length,
+            missingClips: [],
+            unlistedFiles: [],
+            zeroByteFiles: [],
+            truncatedFiles: [],
+            missingProxies: [],
+            missingThumbnails: [],
+            missingSidecars: [],
+            issueCount: 0
+        };
+
+        const listed = new Set();
+        for (const clip of data.clips) {
+            listed.add(normalize(clip.filePath));
+            if (clip.proxyPath) listed.add(normalize(clip.proxyPath));
+
+            const stats = await statOrNull(clip.filePath);
+            if (!stats) {
+                // Its proxy, thumbnail and sidecar are expected to be gone too
+                report.missingClips.push(clip.filePath);
+                continue;
+            }
+
+            if (stats.size === 0) {
+                report.zeroByteFiles.push(clip.filePath);
+            } else {
+                const { duration, bitrateMbps } = clip.attributes || {};
+                if (duration && bitrateMbps) {
+                    const expectedSize = Math.round(duration * bitrateMbps * 1000000 / 8);
+                    if (stats.size < expectedSize * TRUNCATION_RATIO) {
+                        report.truncatedFiles.push({ filePath: clip.filePath, size: stats.size, expectedSize });
+                    }
                 }
             }
+
+            if (clip.proxyPath) {
+                const proxyStats = await statOrNull(clip.proxyPath);
+                if (!proxyStats) {
+                    report.missingProxies.push(clip.proxyPath);
+                } else if (proxyStats.size === 0) {
+                    report.zeroByteFiles.push(clip.proxyPath);
+                }
+            }
+            if (clip.thumbnailPath && !(await statOrNull(clip.thumbnailPath))) {
+                report.missingThumbnails.push(clip.thumbnailPath);
+            }
+            if (clip.sidecarPath && !(await statOrNull(clip.sidecarPath))) {
+                report.missingSidecars.push(clip.sidecarPath);
+            }
+        }
+
+        const manifestPrefix = normalize(manifestDir + path.sep);
+        report.unlistedFiles = videoFiles.filter(f => normalize(f).startsWith(manifestPrefix) && !listed.has(normalize(f)));
+
+        report.issueCount = report.missingClips.length + report.unlistedFiles.length +
+            report.zeroByteFiles.length + report.truncatedFiles.length +
+            report.missingProxies.length + report.missingThumbnails.length + report.missingSidecars.length;
+
+        const status = report.issueCount === 0 ? '✅' : '⚠️ ';
+        console.log(`${status} Card ${report.card}: ${report.clipCount} clips listed, ${report.issueCount} issue(s)`);
+        cards.push(report);
+    }
+
+    return cards;
+}
+
+// If no serial from video metadata, try to match from XML mapping
+function matchSerialsFromXML(videoMetadata, cameraRegistry, videoToCameraMap) {
+    for (const video of videoMetadata) {
+        if (video.serialNumber || !video.filePath) continue;
+
+        const normalizedPath = path.normalize(video.filePath).toLowerCase();
+        const serial = videoToCameraMap[normalizedPath];
+
+        if (serial) {
+            console.log(`✓ Matched ${path.basename(video.filePath)} to camera ${serial} via XML`);
+            // Update video metadata with camera info
+            video.serialNumber = serial;
+            if (cameraRegistry[serial]) {
+                video.model = cameraRegistry[serial].model;
+            }
         }
+    }
+}
+
+function groupByCamera(videoMetadata, cameraRegistry) {
+    const cameras = {};
+    const unknown = [];
+
+    for (const video of videoMetadata) {
+        const serial = video.serialNumber;
 
         if (serial) {
             if (!cameras[serial]) {
@@ -120,24 +370,79 @@ function findMixedFolders(videoMetadata) {
     return mixed;
 }
 
+// Reuse indexed metadata and thumbnail for unchanged files; extract everything else
+async function extractFileWithIndex(filePath, index, limits, control, thumbnailCache) {
+    const stats = await statOrNull(filePath);
+    const entry = stats && index.lookup(filePath, stats);
+
+    // Entries indexed without thumbnails (--no-thumbnails) are redone when thumbnails are wanted
+    if (entry && !(entry.thumbnailSkipped && limits.thumbnail)) {
+        const metadata = { ...entry.metadata, thumbnailPath: entry.thumbnailPath || null };
+        if (!entry.thumbnailPath || await statOrNull(entry.thumbnailPath)) {
+            if (entry.thumbnailPath) await touchThumbnail(entry.thumbnailPath, thumbnailCache);
+            return { metadata, cached: true };
+        }
+        // Thumbnail file is gone (evicted or cache cleared): fall through and rebuild the entry
+    }
+
+    // Run metadata extraction and thumbnail generation in parallel
+    const [metadata, thumbnailPath] = await Promise.all([
+        extractMetadata(filePath, control),
+        limits.thumbnail ? limits.thumbnail(() => resolveThumbnailPath(filePath, control, thumbnailCache)).catch(() => null) : null
+    ]);
+    // Work killed by a cancel is incomplete: count the file as skipped, keep it out of the results and the index
+    if (control.cancelled) return { metadata: null, cached: false, skipped: true };
+    if (!metadata) return { metadata: null, cached: false };
+
+    // Failed extractions (e.g. exiftool timeouts) are retried on the next run
+    if (stats && !metadata.error) {
+        index.store(filePath, stats, { ...metadata }, thumbnailPath, !limits.thumbnail);
+    }
+    // Only the path travels with the clip; the renderer loads the image itself, when it is shown
+    metadata.thumbnailPath = thumbnailPath || null;
+    return { metadata, cached: false };
+}
+
+// Sizes and counts cover each logical clip once; backups and duplicates are reported separately
 function calculateStatistics(cameras, videoMetadata) {
     let totalSize = 0;
+    let diskSize = 0;
+    let metadataConflicts = 0;
+    let uniqueFiles = 0;
+    const copies = { backup: { files: 0, size: 0 }, duplicate: { files: 0, size: 0 } };
     const formatCounts = {};
 
     for (const video of videoMetadata) {
+        diskSize += (video.size || 0);
+        if (video.duplicateOf) {
+            copies[video.copyKind].files++;
+            copies[video.copyKind].size += (video.size || 0);
+            continue;
+        }
+
+        uniqueFiles++;
         totalSize += (video.size || 0);
+        if (video.metadataConflicts) metadataConflicts++;
         const fmt = video.format || 'UNKNOWN';
         formatCounts[fmt] = (formatCounts[fmt] || 0) + 1;
     }
 
     return {
-        totalFiles: videoMetadata.length,
+        totalFiles: uniqueFiles,
         totalSize,
+        diskFiles: videoMetadata.length,
+        diskSize,
+        backupFiles: copies.backup.files,
+        backupSize: copies.backup.size,
+        duplicateFiles: copies.duplicate.files,
+        duplicateSize: copies.duplicate.size,
+        metadataConflicts,
         formatDistribution: formatCounts
     };
 }
 
-async function analyzeFootage(folderPath, progressCallback) {
+async function analyzeFootage(folderPath, progressCallback, options = {}) {
+    const control = options.control || createAnalysisControl();
     try {
         console.log(`\n🚀 Starting analysis of: ${folderPath}\n`);
 
@@ -146,7 +451,7 @@ async function analyzeFootage(folderPath, progressCallback) {
         const xmlData = await xmlParser.parseAllXMLInFolder(folderPath);
 
         // Step 2: Build camera registry and video-to-camera mapping
-        const { registry: cameraRegistry, videoToCameraMap } = buildCameraRegistry(xmlData);
+        const { registry: cameraRegistry, videoToCameraMap, clipManifestMap } = buildCameraRegistry(xmlData);
         console.log(`📋 Camera registry built with ${Object.keys(cameraRegistry).length} cameras`);
         console.log(`📹 Video-to-camera mapping has ${Object.keys(videoToCameraMap).length} entries`);
 
@@ -157,55 +462,115 @@ async function analyzeFootage(folderPath, progressCallback) {
 
         // Step 4: Extract metadata
         progressCallback({ step: 'extract', message: 'Extracting metadata...', progress: 20 });
-        const videoMetadata = [];
 
-        for (let i = 0; i < videoFiles.length; i++) {
-            console.log(`📊 Processing ${i + 1}/${videoFiles.length}: ${path.basename(videoFiles[i])}`);
-
-            // Run metadata extraction and thumbnail generation in parallel
-            const [metadata, thumbnailPath] = await Promise.all([
-                extractMetadata(videoFiles[i]),
-                generateThumbnail(videoFiles[i])
-            ]);
-
-            if (metadata) {
-                metadata.thumbnail = thumbnailPath;
-                videoMetadata.push(metadata);
-            }
-
-            const percentage = 20 + Math.round(((i + 1) / videoFiles.length) * 60); // 20% to 80%
+        const index = await openAnalysisIndex(options.indexPath, { forceRescan: options.forceRescan });
+        const concurrency = { ...defaultConcurrency(), ...options.concurrency };
+        configureExifTool({ maxProcs: concurrency.metadata });
+        const limits = {
+            metadata: createLimiter(concurrency.metadata),
+            // Headless runs can skip ffmpeg entirely
+            thumbnail: options.thumbnails === false ? null : createLimiter(concurrency.thumbnails),
+            device: createKeyedLimiter(concurrency.perDevice)
+        };
+        console.log(`⚙️  Concurrency: ${concurrency.metadata} metadata, ${concurrency.thumbnails} thumbnail, ${concurrency.perDevice} per device`);
+
+        // A file waits for its device slot before taking a worker, so one slow
+        // reader never holds workers that files on other devices could use.
+        // Files finish out of order; progress counts completions, results keep scan order.
+        let completed = 0;
+        const extracted = await Promise.all(videoFiles.map(async (filePath) => {
+            const deviceId = await getDeviceId(filePath);
+            const result = await limits.device(deviceId, () => limits.metadata(async () => {
+                // Paused runs wait here between files; cancelled runs skip what is left
+                if (!(await control.checkpoint())) return { metadata: null, cached: false, skipped: true };
+                return extractFileWithIndex(filePath, index, limits, control, options.thumbnailCache);
+            }));
+            if (result.skipped) return result;
+
+            completed++;
+            console.log(`📊 Processed ${completed}/${videoFiles.length}: ${path.basename(filePath)}`);
             progressCallback({
                 step: 'extract',
-                message: `Processing ${i + 1}/${videoFiles.length}`,
-                progress: percentage,
-                currentFile: videoFiles[i]
+                message: `Processing ${completed}/${videoFiles.length}${result.cached ? ' (unchanged)' : ''}`,
+                progress: 20 + Math.round((completed / videoFiles.length) * 60), // 20% to 80%
+                currentFile: filePath
             });
+            return result;
+        }));
+        const videoMetadata = extracted.map(r => r.metadata).filter(Boolean);
+        const skippedFiles = control.cancelled ? videoFiles.length - completed : 0;
+        if (control.cancelled) {
+            console.log(`\n🛑 Analysis cancelled after ${completed}/${videoFiles.length} file(s); finishing with partial results\n`);
         }
 
-        // Step 5: Group by camera
+        await index.save(folderPath, { complete: !control.cancelled }).catch(error => {
+            console.error('Error saving analysis index:', error.message);
+        });
+        const reusedFiles = extracted.filter(r => r.cached).length;
+        console.log(`\n🗃️  Reused ${reusedFiles}/${videoFiles.length} file(s) from the analysis index\n`);
+
+        // Step 5: Cross-check and fill from MEDIAPRO Material attributes
+        const conflictCount = applyManifestMetadata(videoMetadata, clipManifestMap);
+        if (conflictCount > 0) {
+            console.log(`\n⚠️  ${conflictCount} clip(s) disagree between MEDIAPRO.XML and exiftool\n`);
+        }
+
+        // Step 6: Merge per-clip M01 sidecars (timecode, gamma, lens, ...)
+        progressCallback({ step: 'sidecar', message: 'Reading clip sidecars...', progress: 82 });
+        const sidecarCount = await attachClipSidecars(videoMetadata, clipManifestMap);
+        console.log(`\n🧾 Merged ${sidecarCount} clip sidecar(s)\n`);
+
+        // Step 7: Match remaining files to cameras via XML, then find copies of the same clip
+        matchSerialsFromXML(videoMetadata, cameraRegistry, videoToCameraMap);
+        progressCallback({ step: 'group', message: 'Finding duplicate clips...', progress: 84 });
+        const duplicateGroups = await findDuplicateGroups(videoMetadata);
+        console.log(`\n🧬 Found ${duplicateGroups.length} clip(s) stored more than once\n`);
+
+        // Step 8: Group by camera (one entry per logical clip)
         console.log(`\n🔗 Grouping files by camera...\n`);
         progressCallback({ step: 'group', message: 'Grouping files...', progress: 85 });
-        const { cameras, unknown } = groupByCamera(videoMetadata, cameraRegistry, videoToCameraMap);
+        const { cameras, unknown } = groupByCamera(videoMetadata.filter(v => !v.duplicateOf), cameraRegistry);
 
-        // Step 6: Identify mixed folders
+        // Step 9: Identify mixed folders (every file on disk counts here)
         const mixedFolders = findMixedFolders(videoMetadata);
 
-        // Step 7: Stats
+        // Step 10: Stats
         const stats = calculateStatistics(cameras, videoMetadata);
+        stats.reusedFiles = reusedFiles;
+        stats.skippedFiles = skippedFiles;
+
+        // Step 11: Card integrity (MEDIAPRO manifest vs. files on disk)
+        progressCallback({ step: 'verify', message: 'Checking card integrity...', progress: 90 });
+        const cardHealth = await verifyCardIntegrity(xmlData, videoFiles);
+
+        // Step 12: Multicam sync groups (overlapping clips from different cameras)
+        const syncGroups = findSyncGroups({ cameras });
+
+        // Step 13: Camera clocks (time zones, drift) against metadata and each other
+        const clockReport = await checkCameraClocks(cameras, xmlData);
 
         console.log(`\n✅ Analysis complete!`);
         console.log(`   📷 Cameras: ${cameras.length}`);
         console.log(`   📹 Total files: ${stats.totalFiles}`);
         console.log(`   ❓ Unknown files: ${unknown.length}`);
-        console.log(`   ⚠️  Mixed folders: ${mixedFolders.length}\n`);
+        console.log(`   ⚠️  Mixed folders: ${mixedFolders.length}`);
+        console.log(`   🩺 Cards with issues: ${cardHealth.filter(c => c.issueCount > 0).length}/${cardHealth.length}`);
+        console.log(`   🎥 Multicam sync groups: ${syncGroups.length}`);
+        console.log(`   🕰️  Cameras with clock issues: ${clockReport.filter(r => r.issues.length > 0).length}/${clockReport.length}\n`);
 
-        progressCallback({ step: 'done', message: 'Analysis complete', progress: 100 });
+        progressCallback({ step: 'done', message: control.cancelled ? 'Analysis cancelled' : 'Analysis complete', progress: 100 });
 
         return {
+            folderPath,
             cameras,
             unknownFiles: unknown,
             mixedFolders,
-            stats
+            cardHealth,
+            duplicateGroups,
+            syncGroups,
+            clockReport,
+            stats,
+            cancelled: control.cancelled
         };
 
     } catch (error) {
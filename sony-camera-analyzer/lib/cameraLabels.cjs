@@ -0,0 +1,74 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Keeps only the fields the user actually set; a colour must be "#rrggbb"
+function cleanLabel({ label, operator, color } = {}) {
+    const entry = {};
+    if (typeof label === 'string' && label.trim()) entry.label = label.trim();
+    if (typeof operator === 'string' && operator.trim()) entry.operator = operator.trim();
+    if (typeof color === 'string' && COLOR_PATTERN.test(color)) entry.color = color.toLowerCase();
+    return entry;
+}
+
+/**
+ * Labels the user gave each camera, keyed by serial number:
+ * { [serial]: { label, operator, color } }. A missing or unreadable file is
+ * an empty set, so callers can use it unconditionally.
+ */
+async function loadCameraLabels(labelsPath) {
+    if (!labelsPath) return {};
+    try {
+        const stored = JSON.parse(await fs.readFile(labelsPath, 'utf-8'));
+        const labels = {};
+        for (const [serial, fields] of Object.entries(stored.cameras || {})) {
+            const entry = cleanLabel(fields);
+            if (Object.keys(entry).length > 0) labels[serial] = entry;
+        }
+        return labels;
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Error reading camera labels ${labelsPath}:`, error.message);
+        }
+        return {};
+    }
+}
+
+// Sets (or, with every field empty, removes) one camera's label and writes the file atomically
+async function saveCameraLabel(labelsPath, serial, fields) {
+    const labels = await loadCameraLabels(labelsPath);
+    const entry = cleanLabel(fields);
+    if (Object.keys(entry).length > 0) {
+        labels[serial] = entry;
+    } else {
+        delete labels[serial];
+    }
+
+    await fs.mkdir(path.dirname(labelsPath), { recursive: true });
+    const tempPath = `${labelsPath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify({ cameras: labels }, null, 2));
+    await fs.rename(tempPath, labelsPath);
+    console.log(`🏷️  Camera label saved for ${serial}`);
+    return labels;
+}
+
+// Copies label, operator and colour onto every camera (and sync group camera) they belong to
+function applyCameraLabels(results, labels = {}) {
+    const fieldsFor = (serial) => ({
+        label: labels[serial]?.label || null,
+        operator: labels[serial]?.operator || null,
+        color: labels[serial]?.color || null
+    });
+
+    return {
+        ...results,
+        cameras: results.cameras.map(camera => ({ ...camera, ...fieldsFor(camera.id) })),
+        syncGroups: (results.syncGroups || []).map(group => ({
+            ...group,
+            cameras: group.cameras.map(camera => ({ ...camera, label: fieldsFor(camera.cameraId).label }))
+        }))
+    };
+}
+
+module.exports = { loadCameraLabels, saveCameraLabel, applyCameraLabels };
@@ -0,0 +1,15 @@
+const path = require('path');
+
+// Folders that mark the top of a Sony card structure; the card is their parent
+const CARD_ROOT_FOLDERS = ['PRIVATE', 'M4ROOT', 'XDROOT'];
+
+function getCardRoot(filePath) {
+    const parts = path.resolve(filePath).split(path.sep);
+    const rootIndex = parts.findIndex(p => CARD_ROOT_FOLDERS.includes(p.toUpperCase()));
+    if (rootIndex > 0) {
+        return parts.slice(0, rootIndex).join(path.sep) || path.sep;
+    }
+    return path.dirname(filePath);
+}
+
+module.exports = { getCardRoot };
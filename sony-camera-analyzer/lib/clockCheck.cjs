@@ -0,0 +1,268 @@
+const path = require('path');
+const xmlParser = require('./xmlParser.cjs');
+const { clipTiming, zoneOf, formatZone, shiftDate } = require('./timecode.cjs');
+const { findSyncGroups } = require('./multicam.cjs');
+const { isProxyFile } = require('./reportFields.cjs');
+
+const SECONDS_PER_DAY = 86400;
+// Sidecar CreationDate and CreateDate are written a moment apart
+const CREATE_DATE_TOLERANCE = 2;
+// Files are closed a little after the last frame; anything beyond this is a clock or zone difference
+const MTIME_TOLERANCE = 300;
+const TIMECODE_TOLERANCE = 2;
+// Share of a camera's clips whose timecode must agree before it counts as time-of-day timecode
+const TIMECODE_AGREEMENT = 0.8;
+// Sony bodies fall back to 2000-01-01 (or similar) after losing their clock battery
+const EARLIEST_PLAUSIBLE_YEAR = 2010;
+
+// "+1h 00m 05s", "-3m 12s", "+4s"
+function formatOffset(seconds) {
+    const sign = seconds < 0 ? '-' : '+';
+    const total = Math.round(Math.abs(seconds));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = total % 60;
+    if (h > 0) return `${sign}${h}h ${String(m).padStart(2, '0')}m ${String(s).padStart(2, '0')}s`;
+    if (m > 0) return `${sign}${m}m ${String(s).padStart(2, '0')}s`;
+    return `${sign}${s}s`;
+}
+
+// Seconds since midnight of the wall-clock time written in an ISO date string
+function wallClockSeconds(value) {
+    const match = /T(\d{2}):(\d{2}):(\d{2})/.exec(value || '');
+    if (!match) return null;
+    return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+}
+
+const toSeconds = (value) => {
+    const time = value ? new Date(value).getTime() : NaN;
+    return isNaN(time) ? null : time / 1000;
+};
+
+// Difference between two times of day, folded into [-12h, +12h)
+const wrapDay = (seconds) => ((((seconds + SECONDS_PER_DAY / 2) % SECONDS_PER_DAY) + SECONDS_PER_DAY) % SECONDS_PER_DAY) - SECONDS_PER_DAY / 2;
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function mostCommon(values) {
+    const counts = new Map();
+    for (const value of values) counts.set(value, (counts.get(value) || 0) + 1);
+    let best = null;
+    for (const [value, count] of counts) {
+        if (best === null || count > counts.get(best)) best = value;
+    }
+    return best;
+}
+
+const uniqueZones = (values) => [...new Set(values.map(zoneOf).filter(z => z !== null))].map(formatZone);
+
+// MEDIAPRO createdAt and DISCMETA InitializedDate of every card, by camera serial
+async function collectCardDates(xmlData) {
+    const byCamera = {};
+    for (const data of xmlData) {
+        if (!data.serialNumber) continue;
+        const dates = byCamera[data.serialNumber] || (byCamera[data.serialNumber] = { mediapro: [], discmeta: [] });
+        if (data.createdAt) dates.mediapro.push(data.createdAt);
+        const discMeta = await xmlParser.readDiscMeta(path.dirname(data.sourceFile));
+        if (discMeta?.initializedDate) dates.discmeta.push(discMeta.initializedDate);
+    }
+    return byCamera;
+}
+
+// What a single camera's own metadata says about its clock
+function measureCamera(camera, cardDates) {
+    const clips = camera.files.filter(file => !isProxyFile(file.filePath) && !file.duplicateOf);
+    const zones = {
+        mediapro: uniqueZones(cardDates.mediapro),
+        discmeta: uniqueZones(cardDates.discmeta),
+        sidecar: uniqueZones(clips.map(file => file.creationDate).filter(Boolean))
+    };
+    const sidecarZones = clips.map(file => zoneOf(file.creationDate)).filter(z => z !== null);
+    const cardZones = cardDates.mediapro.map(zoneOf).filter(z => z !== null);
+    const zone = mostCommon(sidecarZones.length > 0 ? sidecarZones : cardZones);
+
+    // Only container dates can be checked; a file system fallback says nothing about the camera
+    const dated = clips.filter(file => file.createDateKnown);
+
+    // exiftool CreateDate against the sidecar's zoned CreationDate
+    const createDeltas = dated
+        .map(file => {
+            const created = toSeconds(file.created);
+            const creation = toSeconds(file.creationDate);
+            return created !== null && creation !== null ? created - creation : null;
+        })
+        .filter(delta => delta !== null);
+
+    // File modification time against the end of the recording
+    const mtimeDeltas = dated
+        .map(file => {
+            const created = toSeconds(file.created);
+            const modified = toSeconds(file.modified);
+            return created !== null && modified !== null ? modified - (created + (file.duration || 0)) : null;
+        })
+        .filter(delta => delta !== null);
+
+    // Start timecode against the camera's wall clock at the start of recording
+    const timecodeDeltas = clips
+        .map(file => {
+            const timing = clipTiming(file);
+            if (!timing?.hasTimecode) return null;
+            let wall = wallClockSeconds(file.creationDate);
+            if (wall === null && zone !== null && file.createDateKnown && toSeconds(file.created) !== null) {
+                wall = ((toSeconds(file.created) + zone * 60) % SECONDS_PER_DAY + SECONDS_PER_DAY) % SECONDS_PER_DAY;
+            }
+            if (wall === null) return null;
+            return wrapDay(timing.startFrames / timing.rate.fps - wall);
+        })
+        .filter(delta => delta !== null);
+
+    let timecode = null;
+    if (timecodeDeltas.length > 0) {
+        const offset = median(timecodeDeltas);
+        const agreeing = timecodeDeltas.filter(delta => Math.abs(delta - offset) <= TIMECODE_TOLERANCE).length;
+        // Record-run or preset timecode has nothing to do with the clock; only use it when it tracks the clock
+        if (agreeing / timecodeDeltas.length >= TIMECODE_AGREEMENT) {
+            timecode = { offset, clips: timecodeDeltas.length };
+        }
+    }
+
+    const years = dated.map(file => toSeconds(file.created)).filter(t => t !== null).map(t => new Date(t * 1000).getUTCFullYear());
+
+    return {
+        cameraId: camera.id,
+        model: camera.model,
+        zone: zone === null ? null : formatZone(zone),
+        zoneMinutes: zone,
+        zones,
+        measurements: {
+            createDate: createDeltas.length > 0 ? { offset: median(createDeltas), clips: createDeltas.length } : null,
+            mtime: mtimeDeltas.length > 0 ? { offset: median(mtimeDeltas), clips: mtimeDeltas.length } : null,
+            timecode
+        },
+        earliestYear: years.length > 0 ? Math.min(...years) : null,
+        issues: [],
+        estimatedOffset: 0
+    };
+}
+
+/**
+ * Compares each camera's clock against its own metadata (sidecar CreationDate,
+ * MEDIAPRO/DISCMETA dates, file mtimes, time-of-day timecode) and against the
+ * other cameras (time zone, jam-synced timecode). Returns one report per
+ * camera with the issues found and an estimated correction in seconds to add
+ * to its recording dates; 0 when nothing points at a wrong clock.
+ */
+async function checkCameraClocks(cameras, xmlData) {
+    const cardDates = await collectCardDates(xmlData);
+    const reports = cameras.map(camera => measureCamera(camera, cardDates[camera.id] || { mediapro: [], discmeta: [] }));
+
+    const zonedReports = reports.filter(r => r.zoneMinutes !== null);
+    const referenceZone = zonedReports.length >= 2 ? mostCommon(zonedReports.map(r => r.zoneMinutes)) : null;
+
+    // Time-of-day timecode shared by most cameras (jam-synced or preset from one clock) is the reference
+    const timecodeReports = reports.filter(r => r.measurements.timecode);
+    let referenceTimecode = null;
+    if (timecodeReports.length >= 2) {
+        const offset = median(timecodeReports.map(r => r.measurements.timecode.offset));
+        const agreeing = timecodeReports.filter(r => Math.abs(r.measurements.timecode.offset - offset) <= TIMECODE_TOLERANCE);
+        if (agreeing.length * 2 > timecodeReports.length) referenceTimecode = offset;
+    }
+
+    for (const report of reports) {
+        const { createDate, mtime, timecode } = report.measurements;
+        let correction = 0;
+
+        if (report.earliestYear !== null && report.earliestYear < EARLIEST_PLAUSIBLE_YEAR) {
+            report.issues.push({
+                type: 'clockUnset',
+                message: `Recorded in ${report.earliestYear}: the camera clock was probably never set or was reset`
+            });
+        }
+
+        const ownZones = new Set([...report.zones.mediapro, ...report.zones.discmeta, ...report.zones.sidecar]);
+        if (ownZones.size > 1) {
+            report.issues.push({
+                type: 'zoneChanged',
+                message: `Time zone changed between card format and recording (${[...ownZones].join(', ')})`
+            });
+        }
+
+        if (createDate && Math.abs(createDate.offset) > CREATE_DATE_TOLERANCE) {
+            // The sidecar carries its zone explicitly; trust it over the container date
+            correction -= createDate.offset;
+            report.issues.push({
+                type: 'createDate',
+                message: `Container CreateDate is ${formatOffset(createDate.offset)} from the clip sidecar's CreationDate`
+            });
+        }
+
+        if (referenceZone !== null && report.zoneMinutes !== null && report.zoneMinutes !== referenceZone) {
+            // Local wall clock set for the place, zone setting not: the recorded instants are off by the zone difference
+            correction += (report.zoneMinutes - referenceZone) * 60;
+            report.issues.push({
+                type: 'zoneMismatch',
+                message: `Camera time zone is ${report.zone} while the other cameras use ${formatZone(referenceZone)}`
+            });
+        }
+
+        if (referenceTimecode !== null && timecode && Math.abs(timecode.offset - referenceTimecode) > TIMECODE_TOLERANCE) {
+            correction += timecode.offset - referenceTimecode;
+            report.issues.push({
+                type: 'clockDrift',
+                message: `Camera clock is ${formatOffset(referenceTimecode - timecode.offset)} from the shared timecode`
+            });
+        } else if (referenceTimecode === null && timecode && Math.abs(timecode.offset) > TIMECODE_TOLERANCE) {
+            report.issues.push({
+                type: 'timecode',
+                message: `Timecode runs ${formatOffset(timecode.offset)} from the camera clock`
+            });
+        }
+
+        if (mtime && Math.abs(mtime.offset) > MTIME_TOLERANCE) {
+            report.issues.push({
+                type: 'mtime',
+                message: `File modification times are ${formatOffset(mtime.offset)} from the recording times (camera time zone differs from this computer, or the files were rewritten)`
+            });
+        }
+
+        report.estimatedOffset = Math.round(correction);
+        delete report.zoneMinutes;
+    }
+
+    return reports;
+}
+
+/**
+ * Shifts the recording date of every file of each camera by its correction in
+ * seconds and regroups multicam clips. The uncorrected date is kept in
+ * createdOriginal, so applying a new set of corrections replaces the previous
+ * one instead of adding to it.
+ */
+function applyClockCorrections(results, corrections = {}) {
+    const cameras = results.cameras.map(camera => {
+        const seconds = Number(corrections[camera.id]) || 0;
+        return {
+            ...camera,
+            files: camera.files.map(file => {
+                const original = file.createdOriginal ?? file.created;
+                const shifted = seconds ? shiftDate(original, seconds) : null;
+                const corrected = { ...file, created: original, createdOriginal: undefined, clockCorrection: undefined };
+                if (!shifted) return corrected;
+                // Written in the camera's zone, so the clip keeps its day in every local-date view
+                return { ...corrected, created: shifted, createdOriginal: original, clockCorrection: seconds };
+            })
+        };
+    });
+
+    const clockCorrections = Object.fromEntries(
+        Object.entries(corrections).filter(([, seconds]) => Number(seconds)).map(([id, seconds]) => [id, Number(seconds)])
+    );
+    // Regrouped exactly as analyzeFootage groups them
+    return { ...results, cameras, clockCorrections, syncGroups: findSyncGroups({ cameras }) };
+}
+
+module.exports = { checkCameraClocks, applyClockCorrections };
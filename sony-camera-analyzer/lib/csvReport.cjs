@@ -0,0 +1,38 @@
+const { buildTable } = require('./reportFields.cjs');
+
+const DELIMITERS = { csv: ',', tsv: '\t' };
+const UTF8_BOM = '\uFEFF';
+
+function formatValue(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    return String(value);
+}
+
+// RFC 4180: quote fields holding the delimiter, a quote or a line break; double inner quotes
+function escapeField(value, delimiter) {
+    const text = formatValue(value);
+    if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+/**
+ * Render results as CSV or TSV. Records end with CRLF; `bom` prepends a UTF-8
+ * byte order mark so Excel detects the encoding.
+ */
+function renderCsvReport(results, { format = 'csv', rowMode = 'clip', columns, bom = false } = {}) {
+    const delimiter = DELIMITERS[format];
+    if (!delimiter) throw new Error(`Unknown delimited format: ${format}`);
+
+    const table = buildTable(results, { rowMode, columns });
+    // Durations are written as plain seconds
+    const header = table.columns.map(c => (c.type === 'duration' ? `${c.label} (s)` : c.label));
+    const lines = [header, ...table.rows]
+        .map(row => row.map(value => escapeField(value, delimiter)).join(delimiter));
+
+    return `${bom ? UTF8_BOM : ''}${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = { renderCsvReport };
@@ -0,0 +1,109 @@
+const { createXXH64 } = require('./mhl.cjs');
+const { isProxyFile } = require('./reportFields.cjs');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Without a UMID, clips match on size plus a hash of their first and last MB
+const EDGE_BYTES = 1024 * 1024;
+
+async function hashFileEdges(filePath, size) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+        const hasher = await createXXH64();
+        const head = Buffer.alloc(Math.min(EDGE_BYTES, size));
+        await handle.read(head, 0, head.length, 0);
+        hasher.update(head);
+
+        if (size > EDGE_BYTES) {
+            const tail = Buffer.alloc(Math.min(EDGE_BYTES, size - EDGE_BYTES));
+            await handle.read(tail, 0, tail.length, size - tail.length);
+            hasher.update(tail);
+        }
+        return hasher.digest();
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * A copy is a slot-B backup when it comes from a different card (mediaId) of the
+ * same camera, i.e. simultaneous dual recording. The same card offloaded twice
+ * (same mediaId, or no card identity at all) is a real duplicate.
+ */
+function classifyCopy(primary, copy) {
+    if (primary.mediaId && copy.mediaId && primary.mediaId !== copy.mediaId &&
+        primary.serialNumber && primary.serialNumber === copy.serialNumber) {
+        return 'backup';
+    }
+    return 'duplicate';
+}
+
+async function buildContentKeys(videos) {
+    const bySize = {};
+    for (const video of videos) {
+        if (!video.size) continue;
+        (bySize[video.size] = bySize[video.size] || []).push(video);
+    }
+
+    const keys = new Map();
+    for (const [size, candidates] of Object.entries(bySize)) {
+        if (candidates.length < 2) continue;
+        for (const video of candidates) {
+            try {
+                keys.set(video, `content:${size}:${await hashFileEdges(video.filePath, Number(size))}`);
+            } catch (error) {
+                console.error(`Error hashing ${video.filePath}:`, error.message);
+            }
+        }
+    }
+    return keys;
+}
+
+/**
+ * Group the same clip found in several places. Marks copies with `duplicateOf`
+ * and `copyKind`, and lists them on the primary as `copies`.
+ */
+async function findDuplicateGroups(videoMetadata) {
+    const groups = {};
+
+    // A proxy can inherit its main clip's UMID from the shared M01 sidecar, so
+    // proxies and main clips are keyed apart
+    const withUmid = videoMetadata.filter(v => v.umid);
+    for (const video of withUmid) {
+        const key = `umid:${video.umid}${isProxyFile(video.filePath) ? ':proxy' : ''}`;
+        (groups[key] = groups[key] || []).push(video);
+    }
+
+    const contentKeys = await buildContentKeys(videoMetadata.filter(v => !v.umid));
+    for (const [video, key] of contentKeys) {
+        (groups[key] = groups[key] || []).push(video);
+    }
+
+    const duplicateGroups = [];
+    for (const [key, members] of Object.entries(groups)) {
+        if (members.length < 2) continue;
+
+        // Prefer a copy that has camera metadata, then the first path alphabetically
+        const sorted = [...members].sort((a, b) =>
+            (a.error ? 1 : 0) - (b.error ? 1 : 0) || a.filePath.localeCompare(b.filePath));
+        const [primary, ...copies] = sorted;
+
+        primary.copies = copies.map(copy => {
+            copy.duplicateOf = primary.filePath;
+            copy.copyKind = classifyCopy(primary, copy);
+            return { filePath: copy.filePath, kind: copy.copyKind, size: copy.size || 0, mediaId: copy.mediaId || null };
+        });
+
+        duplicateGroups.push({
+            key,
+            matchedBy: key.startsWith('umid:') ? 'umid' : 'content',
+            fileName: path.basename(primary.filePath),
+            primary: primary.filePath,
+            copies: primary.copies
+        });
+    }
+
+    return duplicateGroups;
+}
+
+module.exports = { findDuplicateGroups };
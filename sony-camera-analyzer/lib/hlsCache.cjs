@@ -0,0 +1,176 @@
+const ffmpeg = require('fluent-ffmpeg');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { createLimiter } = require('./workPool.cjs');
+
+const SEGMENT_SECONDS = 6;
+const DEFAULT_MAX_BYTES = 2 * 1024 * 1024 * 1024;
+// Segments are encoded one or two at a time; the player only needs the next one
+const TRANSCODE_CONCURRENCY = 2;
+
+// One cache folder per source version: a changed file gets new segments
+function sourceKey(filePath, stats) {
+    return crypto.createHash('sha1').update(`${filePath}:${stats.size}:${stats.mtimeMs}`).digest('hex').slice(0, 20);
+}
+
+const segmentCount = (duration) => Math.max(1, Math.ceil(duration / SEGMENT_SECONDS));
+
+/**
+ * VOD playlist over the whole clip. Every segment is listed up front, so the
+ * player knows the duration and can seek anywhere; segments are only encoded
+ * when requested. `segmentUri(index)` builds each segment's URI.
+ */
+function buildPlaylist(duration, segmentUri) {
+    const lines = [
+        '#EXTM3U',
+        '#EXT-X-VERSION:3',
+        `#EXT-X-TARGETDURATION:${SEGMENT_SECONDS}`,
+        '#EXT-X-MEDIA-SEQUENCE:0',
+        '#EXT-X-PLAYLIST-TYPE:VOD'
+    ];
+    const count = segmentCount(duration);
+    for (let index = 0; index < count; index++) {
+        const length = Math.min(SEGMENT_SECONDS, duration - index * SEGMENT_SECONDS);
+        lines.push(`#EXTINF:${Math.max(length, 0.001).toFixed(3)},`, segmentUri(index));
+    }
+    lines.push('#EXT-X-ENDLIST', '');
+    return lines.join('\n');
+}
+
+// Encodes one segment on its own; the timestamp offset keeps consecutive segments continuous
+function transcodeSegment(filePath, index, outputPath) {
+    const start = index * SEGMENT_SECONDS;
+    return new Promise((resolve, reject) => {
+        ffmpeg(filePath)
+            .seekInput(start)
+            .duration(SEGMENT_SECONDS)
+            .videoCodec('libx264')
+            .audioCodec('aac')
+            .format('mpegts')
+            .outputOptions([
+                '-preset ultrafast',
+                '-vf scale=-2:720',
+                '-crf 23',
+                '-pix_fmt yuv420p',
+                '-ac 2',
+                `-output_ts_offset ${start}`
+            ])
+            .on('end', resolve)
+            .on('error', reject)
+            .save(outputPath);
+    });
+}
+
+/**
+ * On-disk HLS segment cache shared across sessions. Segments are keyed by
+ * source path, size and mtime; their mtime doubles as last-used time, so the
+ * least recently watched ones are evicted first once the cache grows past
+ * maxBytes.
+ */
+function createHlsCache({ cacheDir, maxBytes = DEFAULT_MAX_BYTES }) {
+    const limit = createLimiter(TRANSCODE_CONCURRENCY);
+    const inFlight = new Map();
+    const entries = new Map(); // segment path -> { size, lastUsed }
+    let loaded = null;
+
+    // Reads what earlier sessions left in the cache folder, once
+    async function scanCache() {
+        let folders = [];
+        try {
+            folders = await fs.readdir(cacheDir, { withFileTypes: true });
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error(`Error reading HLS cache ${cacheDir}:`, error.message);
+        }
+        for (const folder of folders.filter(f => f.isDirectory())) {
+            const folderPath = path.join(cacheDir, folder.name);
+            let names = [];
+            try {
+                names = await fs.readdir(folderPath);
+            } catch (error) {
+                // An unreadable clip folder is skipped; its segments are encoded again when needed
+                console.error(`Error reading HLS cache folder ${folderPath}:`, error.message);
+            }
+            for (const name of names) {
+                const segmentPath = path.join(folderPath, name);
+                if (!name.endsWith('.ts')) {
+                    // Leftover from an interrupted encode
+                    await fs.unlink(segmentPath).catch(() => {});
+                    continue;
+                }
+                const stats = await fs.stat(segmentPath).catch(() => null);
+                if (stats) entries.set(segmentPath, { size: stats.size, lastUsed: stats.mtimeMs });
+            }
+        }
+        console.log(`📼 HLS cache: ${entries.size} segment(s) in ${cacheDir}`);
+    }
+
+    async function evict() {
+        let total = 0;
+        for (const entry of entries.values()) total += entry.size;
+        if (total <= maxBytes) return;
+
+        const oldestFirst = [...entries.entries()].sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+        let removed = 0;
+        for (const [segmentPath, entry] of oldestFirst) {
+            if (total <= maxBytes) break;
+            await fs.unlink(segmentPath).catch(() => {});
+            entries.delete(segmentPath);
+            total -= entry.size;
+            removed++;
+            // Drop the source's folder once its last segment is gone
+            await fs.rmdir(path.dirname(segmentPath)).catch(() => {});
+        }
+        console.log(`📼 HLS cache over ${Math.round(maxBytes / (1024 * 1024))} MB: evicted ${removed} segment(s)`);
+    }
+
+    async function encode(filePath, stats, index, segmentPath) {
+        await fs.mkdir(path.dirname(segmentPath), { recursive: true });
+        // ffmpeg picks the muxer from .format(); the .part name keeps half-written segments out of the cache
+        const tempPath = `${segmentPath}.part`;
+        try {
+            await limit(() => transcodeSegment(filePath, index, tempPath));
+        } catch (error) {
+            await fs.unlink(tempPath).catch(() => {});
+            throw error;
+        }
+        await fs.rename(tempPath, segmentPath);
+        const { size } = await fs.stat(segmentPath);
+        entries.set(segmentPath, { size, lastUsed: Date.now() });
+        await evict();
+        return segmentPath;
+    }
+
+    return {
+        playlist: buildPlaylist,
+
+        segmentCount,
+
+        // Path of the encoded segment, from the cache when it is there
+        async getSegment(filePath, stats, index) {
+            await (loaded || (loaded = scanCache()));
+            const segmentPath = path.join(cacheDir, sourceKey(filePath, stats), `${index}.ts`);
+
+            if (entries.has(segmentPath)) {
+                const now = new Date();
+                try {
+                    await fs.utimes(segmentPath, now, now);
+                    entries.get(segmentPath).lastUsed = now.getTime();
+                    return segmentPath;
+                } catch {
+                    // Deleted behind our back; encode it again
+                    entries.delete(segmentPath);
+                }
+            }
+
+            if (!inFlight.has(segmentPath)) {
+                const job = encode(filePath, stats, index, segmentPath)
+                    .finally(() => inFlight.delete(segmentPath));
+                inFlight.set(segmentPath, job);
+            }
+            return inFlight.get(segmentPath);
+        }
+    };
+}
+
+module.exports = { createHlsCache };
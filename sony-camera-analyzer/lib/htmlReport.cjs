@@ -0,0 +1,286 @@
+const { getCardRoot } = require('./cardRoot.cjs');
+const { buildHealthIssueMap, HEALTH_ISSUE_LABELS } = require('./reportFields.cjs');
+const { readThumbnail } = require('./thumbnail.cjs');
+const path = require('path');
+
+const STYLES = `
+* { box-sizing: border-box; }
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #1f2937; margin: 0; padding: 32px; font-size: 13px; }
+h1 { font-size: 24px; margin: 0 0 4px; }
+h2 { font-size: 18px; margin: 32px 0 8px; padding-bottom: 4px; border-bottom: 2px solid #1f2937; }
+h3 { font-size: 14px; margin: 16px 0 8px; }
+.meta { color: #6b7280; margin: 0 0 24px; }
+.stats { display: grid; grid-template-columns: repeat(4, 1fr); gap: 12px; }
+.stat { border: 1px solid #d1d5db; border-radius: 6px; padding: 10px 12px; }
+.stat .label { color: #6b7280; font-size: 11px; text-transform: uppercase; letter-spacing: .04em; }
+.stat .value { font-size: 20px; font-weight: 700; }
+.stat .sub { color: #6b7280; font-size: 11px; }
+h2 .swatch { display: inline-block; width: 12px; height: 12px; margin-right: 8px; border-radius: 3px; }
+dl.camera-facts { display: grid; grid-template-columns: max-content 1fr max-content 1fr; gap: 4px 12px; margin: 0 0 12px; }
+dl.camera-facts dt { color: #6b7280; }
+dl.camera-facts dd { margin: 0; font-weight: 600; }
+table { width: 100%; border-collapse: collapse; margin-bottom: 8px; }
+th, td { text-align: left; padding: 4px 6px; border-bottom: 1px solid #e5e7eb; vertical-align: middle; }
+th { background: #f3f4f6; font-size: 11px; text-transform: uppercase; letter-spacing: .03em; color: #4b5563; }
+td.num, th.num { text-align: right; white-space: nowrap; }
+td.mono { font-family: Menlo, Consolas, monospace; font-size: 11px; }
+td.path, .path { font-family: Menlo, Consolas, monospace; font-size: 10px; color: #6b7280; word-break: break-all; }
+img.thumb { width: 96px; height: 54px; object-fit: cover; border-radius: 3px; display: block; background: #e5e7eb; }
+.no-thumb { width: 96px; height: 54px; border-radius: 3px; background: #e5e7eb; color: #9ca3af; font-size: 9px; display: flex; align-items: center; justify-content: center; }
+.badge { display: inline-block; padding: 1px 5px; border-radius: 3px; font-size: 10px; margin-left: 4px; border: 1px solid; }
+.badge.warn { color: #92400e; background: #fef3c7; border-color: #fcd34d; }
+.badge.error { color: #991b1b; background: #fee2e2; border-color: #fca5a5; }
+.badge.info { color: #115e59; background: #ccfbf1; border-color: #5eead4; }
+.ok { color: #047857; }
+.warning { color: #b45309; }
+section.camera { margin-top: 24px; }
+@media print {
+    body { padding: 0; font-size: 10px; }
+    @page { margin: 12mm; }
+    h2 { break-after: avoid; }
+    section.camera { break-before: page; }
+    thead { display: table-header-group; }
+    tr { break-inside: avoid; }
+    .stats { grid-template-columns: repeat(4, 1fr); }
+}
+`;
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    }[c]));
+}
+
+function formatSize(bytes) {
+    if (!bytes) return '0 B';
+    const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.min(sizes.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+    return `${parseFloat((bytes / Math.pow(1024, i)).toFixed(2))} ${sizes[i]}`;
+}
+
+function formatDuration(seconds) {
+    if (!seconds) return '--:--';
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const s = Math.floor(seconds % 60);
+    const mm = String(m).padStart(2, '0');
+    const ss = String(s).padStart(2, '0');
+    return h > 0 ? `${h}:${mm}:${ss}` : `${m}:${ss}`;
+}
+
+function formatDate(value) {
+    const date = value ? new Date(value) : null;
+    if (!date || isNaN(date.getTime())) return '';
+    return date.toLocaleString('en-GB', { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+// Same "100p → 25p" notation the dashboard uses for S&Q clips
+function formatFrameRate(file) {
+    const fps = file.formatFps || file.frameRate;
+    if (!fps) return '';
+    const scan = file.scanType || 'p';
+    return file.captureFps && file.captureFps !== fps ? `${file.captureFps}${scan} → ${fps}${scan}` : `${fps}${scan}`;
+}
+
+function renderStat(label, value, sub) {
+    return `<div class="stat"><div class="label">${escapeHtml(label)}</div><div class="value">${escapeHtml(value)}</div>` +
+        (sub ? `<div class="sub">${escapeHtml(sub)}</div>` : '') + '</div>';
+}
+
+function renderSummary(results) {
+    const { stats } = results;
+    const totalDuration = results.cameras.reduce((sum, camera) =>
+        sum + camera.files.reduce((s, f) => s + (f.duration || 0), 0), 0);
+    const copies = stats.backupFiles + stats.duplicateFiles;
+
+    return `<div class="stats">
+${renderStat('Clips', stats.totalFiles, copies > 0 ? `+${copies} backup/duplicate copies` : '')}
+${renderStat('Total Size', formatSize(stats.totalSize), stats.diskSize > stats.totalSize ? `${formatSize(stats.diskSize)} on disk` : '')}
+${renderStat('Total Duration', formatDuration(totalDuration))}
+${renderStat('Cameras', results.cameras.length, `${(results.cardHealth || []).length} card(s)`)}
+${renderStat('Mixed Folders', results.mixedFolders.length)}
+${renderStat('Unknown Files', results.unknownFiles.length)}
+${renderStat('Metadata Conflicts', stats.metadataConflicts)}
+${renderStat('Card Issues', (results.cardHealth || []).reduce((sum, c) => sum + c.issueCount, 0))}
+</div>`;
+}
+
+function renderClipRow(file, healthIssues, thumbnails) {
+    const thumbnail = thumbnails.get(file.filePath)
+        ? `<img class="thumb" src="${escapeHtml(thumbnails.get(file.filePath))}" alt="">`
+        : '<div class="no-thumb">No preview</div>';
+
+    const badges = [];
+    if (file.metadataConflicts) badges.push('<span class="badge warn">XML ≠ EXIF</span>');
+    for (const kind of ['backup', 'duplicate']) {
+        const count = (file.copies || []).filter(c => c.kind === kind).length;
+        if (count > 0) badges.push(`<span class="badge ${kind === 'backup' ? 'info' : 'error'}">+${count} ${kind}</span>`);
+    }
+    for (const issue of healthIssues[file.filePath] || []) {
+        badges.push(`<span class="badge error">${escapeHtml(issue)}</span>`);
+    }
+
+    const picture = [file.gamma, file.colorSpace].filter(Boolean).join(' / ');
+    return `<tr>
+<td>${thumbnail}</td>
+<td><strong>${escapeHtml(file.fileName)}</strong>${badges.join('')}<div class="path">${escapeHtml(file.filePath)}</div></td>
+<td class="mono">${escapeHtml(file.startTimecode || '')}</td>
+<td class="num mono">${formatDuration(file.duration)}</td>
+<td>${escapeHtml(file.resolution || '')}</td>
+<td>${escapeHtml(formatFrameRate(file))}</td>
+<td>${escapeHtml([file.codec || file.format, file.manifest?.bitrateMbps ? `${file.manifest.bitrateMbps} Mbps` : ''].filter(Boolean).join(' '))}</td>
+<td>${escapeHtml(picture)}</td>
+<td class="num">${formatSize(file.size)}</td>
+<td>${escapeHtml(formatDate(file.created))}</td>
+</tr>`;
+}
+
+function renderCamera(camera, healthIssues, thumbnails) {
+    const files = [...camera.files].sort((a, b) => a.fileName.localeCompare(b.fileName));
+    const cards = [...new Set(files.map(f => path.basename(getCardRoot(f.filePath))))].sort();
+    const formats = Object.entries(files.reduce((acc, f) => {
+        const fmt = f.format || 'UNKNOWN';
+        acc[fmt] = (acc[fmt] || 0) + 1;
+        return acc;
+    }, {})).map(([fmt, count]) => `${fmt} × ${count}`).join(', ');
+    const totalDuration = files.reduce((sum, f) => sum + (f.duration || 0), 0);
+    const dates = files.map(f => new Date(f.created)).filter(d => !isNaN(d.getTime())).sort((a, b) => a - b);
+    const dateRange = dates.length > 0 ? `${formatDate(dates[0])} – ${formatDate(dates[dates.length - 1])}` : 'Unknown';
+
+    const swatch = /^#[0-9a-f]{6}$/i.test(camera.color || '') ? `<span class="swatch" style="background:${camera.color}"></span>` : '';
+
+    return `<section class="camera">
+<h2>${swatch}${escapeHtml([camera.label, camera.model, camera.id].filter(Boolean).join(' · '))}</h2>
+<dl class="camera-facts">
+<dt>Model</dt><dd>${escapeHtml(camera.model)}</dd><dt>Serial</dt><dd>${escapeHtml(camera.id)}</dd>
+${camera.operator ? `<dt>Operator</dt><dd>${escapeHtml(camera.operator)}</dd>\n` : ''}<dt>Clips</dt><dd>${files.length}</dd><dt>Card folders</dt><dd>${escapeHtml(cards.join(', '))}</dd>
+<dt>Total duration</dt><dd>${formatDuration(totalDuration)}</dd><dt>Total size</dt><dd>${formatSize(camera.totalSize)}</dd>
+<dt>Formats</dt><dd>${escapeHtml(formats)}</dd><dt>Recorded</dt><dd>${escapeHtml(dateRange)}</dd>
+</dl>
+<table>
+<thead><tr><th>Preview</th><th>Clip</th><th>Timecode</th><th class="num">Duration</th><th>Resolution</th><th>FPS</th><th>Codec</th><th>Picture</th><th class="num">Size</th><th>Recorded</th></tr></thead>
+<tbody>
+${files.map(f => renderClipRow(f, healthIssues, thumbnails)).join('\n')}
+</tbody>
+</table>
+</section>`;
+}
+
+function renderCardHealth(cardHealth) {
+    if (!cardHealth || cardHealth.length === 0) return '';
+    const rows = cardHealth.map(card => {
+        const issues = Object.entries(HEALTH_ISSUE_LABELS)
+            .filter(([key]) => card[key].length > 0)
+            .map(([key, label]) => `${label}: ${card[key].length}`)
+            .join(', ');
+        return `<tr><td>${escapeHtml(card.card)}</td><td>${escapeHtml(card.model)}</td><td>${escapeHtml(card.serialNumber)}</td>` +
+            `<td class="num">${card.clipCount}</td><td class="${issues ? 'warning' : 'ok'}">${escapeHtml(issues || 'OK')}</td></tr>`;
+    }).join('\n');
+
+    return `<h2>Card Health</h2>
+<table>
+<thead><tr><th>Card</th><th>Model</th><th>Serial</th><th class="num">Clips</th><th>Issues</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>`;
+}
+
+function renderMixedFolders(mixedFolders) {
+    if (mixedFolders.length === 0) return '';
+    const rows = mixedFolders.map(m =>
+        `<tr><td class="path">${escapeHtml(m.folder)}</td><td class="num">${m.cameraCount}</td><td class="mono">${escapeHtml(m.cameras.join(', '))}</td></tr>`).join('\n');
+    return `<h2>Mixed Folders (${mixedFolders.length})</h2>
+<p>These folders contain clips from more than one camera.</p>
+<table>
+<thead><tr><th>Folder</th><th class="num">Cameras</th><th>Serials</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>`;
+}
+
+function renderUnknownFiles(unknownFiles) {
+    if (unknownFiles.length === 0) return '';
+    const rows = unknownFiles.map(f =>
+        `<tr><td>${escapeHtml(f.fileName)}</td><td class="path">${escapeHtml(f.filePath)}</td>` +
+        `<td class="num">${f.size ? formatSize(f.size) : ''}</td><td>${escapeHtml(f.error ? 'Metadata could not be read' : 'No serial number')}</td></tr>`).join('\n');
+    return `<h2>Unknown Files (${unknownFiles.length})</h2>
+<table>
+<thead><tr><th>File</th><th>Path</th><th class="num">Size</th><th>Reason</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>`;
+}
+
+// Extraction failures plus clips where MEDIAPRO.XML and exiftool disagree
+function renderMetadataIssues(results) {
+    const rows = [];
+    for (const file of results.unknownFiles) {
+        if (file.error) {
+            rows.push(`<tr><td>${escapeHtml(file.fileName)}</td><td>Extraction error</td><td>${escapeHtml(file.error)}</td></tr>`);
+        }
+    }
+    for (const camera of results.cameras) {
+        for (const file of camera.files) {
+            for (const conflict of file.metadataConflicts || []) {
+                rows.push(`<tr><td>${escapeHtml(file.fileName)}</td><td>Conflict: ${escapeHtml(conflict.field)}</td>` +
+                    `<td>MEDIAPRO.XML ${escapeHtml(conflict.manifest)} vs exiftool ${escapeHtml(conflict.exiftool)}</td></tr>`);
+            }
+        }
+    }
+    if (rows.length === 0) return '';
+
+    return `<h2>Metadata Errors (${rows.length})</h2>
+<table>
+<thead><tr><th>File</th><th>Problem</th><th>Details</th></tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>`;
+}
+
+// Clips only carry the thumbnail's path; the report embeds the image itself, one file at a time
+async function loadThumbnails(cameras) {
+    const thumbnails = new Map();
+    for (const file of cameras.flatMap(camera => camera.files)) {
+        if (!file.thumbnailPath) continue;
+        const dataUri = await readThumbnail(file.thumbnailPath).catch(() => null);
+        if (dataUri) thumbnails.set(file.filePath, dataUri);
+    }
+    return thumbnails;
+}
+
+/**
+ * Render the analysis results as a single self-contained HTML document
+ * (inline CSS, thumbnails embedded as data URIs) that also prints cleanly.
+ */
+async function renderHtmlReport(results, { title = 'Footage Report', sourceFolder = results.folderPath } = {}) {
+    const healthIssues = buildHealthIssueMap(results.cardHealth);
+    const thumbnails = await loadThumbnails(results.cameras);
+    const generatedAt = formatDate(new Date());
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">${sourceFolder ? `${escapeHtml(sourceFolder)} · ` : ''}Generated ${escapeHtml(generatedAt)}${results.cancelled ? ' · <span class="warning">Partial results: analysis was cancelled</span>' : ''}</p>
+${renderSummary(results)}
+${renderCardHealth(results.cardHealth)}
+${renderMixedFolders(results.mixedFolders)}
+${renderUnknownFiles(results.unknownFiles)}
+${renderMetadataIssues(results)}
+${results.cameras.map(camera => renderCamera(camera, healthIssues, thumbnails)).join('\n')}
+</body>
+</html>
+`;
+}
+
+module.exports = { renderHtmlReport };
@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Random per session; the renderer gets it over IPC and puts it in every media URL
+const sessionToken = crypto.randomBytes(32).toString('hex');
+
+// Real paths of the folders analyzed this session
+const allowedRoots = new Set();
+// Real paths of single files outside them, such as thumbnails in the cache
+const allowedFiles = new Set();
+
+function accessError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+function getMediaToken() {
+    return sessionToken;
+}
+
+function isValidToken(token) {
+    if (typeof token !== 'string' || token.length !== sessionToken.length) return false;
+    return crypto.timingSafeEqual(Buffer.from(token), Buffer.from(sessionToken));
+}
+
+// Opens a folder (and everything under it) to the stream server and media:// for this session
+async function allowMediaRoot(folderPath) {
+    const realRoot = await fs.realpath(folderPath);
+    if (!allowedRoots.has(realRoot)) {
+        allowedRoots.add(realRoot);
+        console.log(`🔓 Media access allowed under ${realRoot}`);
+    }
+}
+
+// Opens individual files (thumbnails of analyzed clips) for this session
+async function allowMediaFiles(filePaths) {
+    for (const filePath of filePaths) {
+        const realPath = await fs.realpath(filePath).catch(() => null);
+        if (realPath) allowedFiles.add(realPath);
+    }
+}
+
+const isInside = (root, target) => {
+    const relative = path.relative(root, target);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+};
+
+/**
+ * The real path of a requested media file, once it is known to lie under an
+ * analyzed folder (or to be one of the files allowed one by one). Relative
+ * paths and ".." segments are refused outright; symlinks are resolved before
+ * the check, so a link pointing out of the card is refused too. Throws an
+ * error with an HTTP statusCode otherwise.
+ */
+async function resolveMediaPath(requestedPath) {
+    if (typeof requestedPath !== 'string' || !requestedPath || requestedPath.includes('\0')) {
+        throw accessError(400, 'Invalid file path');
+    }
+    if (!path.isAbsolute(requestedPath)) {
+        throw accessError(403, `Only absolute file paths are allowed: ${requestedPath}`);
+    }
+    if (requestedPath.split(/[\\/]/).includes('..')) {
+        throw accessError(403, `Path traversal is not allowed: ${requestedPath}`);
+    }
+
+    let realPath;
+    try {
+        realPath = await fs.realpath(requestedPath);
+    } catch {
+        throw accessError(404, 'File not found');
+    }
+
+    if (allowedFiles.has(realPath)) return realPath;
+    for (const root of allowedRoots) {
+        if (isInside(root, realPath)) return realPath;
+    }
+    const escaped = realPath !== path.resolve(requestedPath) ? ` (links to ${realPath})` : '';
+    throw accessError(403, `File is outside the analyzed folders: ${requestedPath}${escaped}`);
+}
+
+module.exports = { getMediaToken, isValidToken, allowMediaRoot, allowMediaFiles, resolveMediaPath };
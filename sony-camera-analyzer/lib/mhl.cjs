@@ -0,0 +1,325 @@
+const { XMLParser } = require('fast-xml-parser');
+const xxhash = require('xxhash-wasm');
+const crypto = require('crypto');
+const fs = require('fs');
+const fsp = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+// ASC MHL v2 (https://theasc.com/society/ascmitc/asc-media-hash-list)
+const MHL_FOLDER = 'ascmhl';
+const CHAIN_FILE = 'ascmhl_chain.xml';
+const SUPPORTED_ALGORITHMS = ['xxh64', 'md5'];
+const IGNORE_PATTERNS = ['.DS_Store', 'Thumbs.db', '._*', MHL_FOLDER];
+const READ_CHUNK_SIZE = 4 * 1024 * 1024;
+
+const { version: TOOL_VERSION } = require('../package.json');
+
+let xxhashApi = null;
+async function getXXHash() {
+    if (!xxhashApi) {
+        xxhashApi = await xxhash();
+    }
+    return xxhashApi;
+}
+
+// Streaming xxHash64 hasher; digest() returns the 16-digit hex string
+async function createXXH64() {
+    const hasher = (await getXXHash()).create64();
+    return {
+        update: (chunk) => hasher.update(chunk),
+        digest: () => hasher.digest().toString(16).padStart(16, '0')
+    };
+}
+
+function isIgnored(name) {
+    return IGNORE_PATTERNS.some(pattern => pattern.endsWith('*')
+        ? name.startsWith(pattern.slice(0, -1))
+        : name === pattern);
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// MHL dates are ISO 8601 without milliseconds, e.g. 2020-01-16T09:15:00+00:00
+function formatMhlDate(date) {
+    return date.toISOString().replace(/\.\d{3}Z$/, '+00:00');
+}
+
+// Relative paths in MHL files always use forward slashes
+function toMhlPath(root, filePath) {
+    return path.relative(root, filePath).split(path.sep).join('/');
+}
+
+async function listFiles(root) {
+    const files = [];
+
+    async function scan(directory) {
+        const entries = await fsp.readdir(directory, { withFileTypes: true });
+        for (const entry of entries) {
+            if (isIgnored(entry.name)) continue;
+            const fullPath = path.join(directory, entry.name);
+            if (entry.isDirectory()) {
+                await scan(fullPath);
+            } else if (entry.isFile()) {
+                files.push(fullPath);
+            }
+        }
+    }
+
+    await scan(root);
+    return files.sort();
+}
+
+async function hashFile(filePath, algorithms = ['xxh64'], onBytes = () => {}) {
+    const hashers = {};
+    if (algorithms.includes('xxh64')) hashers.xxh64 = await createXXH64();
+    if (algorithms.includes('md5')) hashers.md5 = crypto.createHash('md5');
+
+    await new Promise((resolve, reject) => {
+        const stream = fs.createReadStream(filePath, { highWaterMark: READ_CHUNK_SIZE });
+        stream.on('data', (chunk) => {
+            for (const hasher of Object.values(hashers)) {
+                hasher.update(chunk);
+            }
+            onBytes(chunk.length);
+        });
+        stream.on('end', resolve);
+        stream.on('error', reject);
+    });
+
+    const digests = {};
+    if (hashers.xxh64) digests.xxh64 = hashers.xxh64.digest();
+    if (hashers.md5) digests.md5 = hashers.md5.digest('hex');
+    return digests;
+}
+
+// Hash a list of files, reporting byte-accurate progress
+async function hashFiles(root, files, algorithms, progressCallback, label) {
+    const fileStats = await Promise.all(files.map(f => fsp.stat(f)));
+    const totalBytes = fileStats.reduce((sum, stats) => sum + stats.size, 0);
+    let hashedBytes = 0;
+    const results = [];
+
+    for (let i = 0; i < files.length; i++) {
+        const stats = fileStats[i];
+        const hashes = await hashFile(files[i], algorithms, (bytes) => {
+            hashedBytes += bytes;
+        });
+        results.push({
+            path: toMhlPath(root, files[i]),
+            size: stats.size,
+            lastModified: stats.mtime,
+            hashes
+        });
+
+        progressCallback({
+            step: 'hash',
+            message: `${label} ${i + 1}/${files.length}: ${path.basename(files[i])}`,
+            progress: totalBytes > 0 ? Math.round((hashedBytes / totalBytes) * 100) : 100,
+            currentFile: files[i]
+        });
+    }
+
+    return { results, totalBytes };
+}
+
+// C4 ID (SMPTE ST 2114): "c4" + base58(SHA-512), left-padded to 90 characters
+function c4Id(buffer) {
+    const alphabet = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+    let value = BigInt('0x' + crypto.createHash('sha512').update(buffer).digest('hex'));
+    let encoded = '';
+    while (value > 0n) {
+        encoded = alphabet[Number(value % 58n)] + encoded;
+        value /= 58n;
+    }
+    return 'c4' + encoded.padStart(88, '1');
+}
+
+function buildHashlistXml(entries, { process: processType, action, date }) {
+    const hashDate = formatMhlDate(date);
+    const hashes = entries.map(entry => {
+        const hashLines = Object.entries(entry.hashes)
+            .map(([algorithm, digest]) => `      <${algorithm} action="${action}" hashdate="${hashDate}">${digest}</${algorithm}>`)
+            .join('\n');
+        return [
+            '    <hash>',
+            `      <path size="${entry.size}" lastmodificationdate="${formatMhlDate(entry.lastModified)}">${escapeXml(entry.path)}</path>`,
+            hashLines,
+            '    </hash>'
+        ].join('\n');
+    }).join('\n');
+
+    const ignore = IGNORE_PATTERNS.map(p => `      <pattern>${escapeXml(p)}</pattern>`).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<hashlist version="2.0" xmlns="urn:ASC:MHL:v2.0">
+  <creatorinfo>
+    <creationdate>${hashDate}</creationdate>
+    <hostname>${escapeXml(os.hostname())}</hostname>
+    <tool version="${TOOL_VERSION}">Sony Camera Analyzer</tool>
+  </creatorinfo>
+  <processinfo>
+    <process>${processType}</process>
+    <ignore>
+${ignore}
+    </ignore>
+  </processinfo>
+  <hashes>
+${hashes}
+  </hashes>
+</hashlist>
+`;
+}
+
+const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '@_',
+    parseTagValue: false, // digests such as "0123456789012345" must stay strings
+    isArray: (name) => ['hash', 'hashlist'].includes(name)
+});
+
+async function readChain(mhlDir) {
+    try {
+        const content = await fsp.readFile(path.join(mhlDir, CHAIN_FILE), 'utf-8');
+        const data = parser.parse(content);
+        return (data.ascmhldirectory?.hashlist || []).map(h => ({
+            sequence: Number(h['@_sequencenr']),
+            path: h.path,
+            c4: h.c4
+        }));
+    } catch {
+        return [];
+    }
+}
+
+async function writeChain(mhlDir, chain) {
+    const entries = chain.map(h => [
+        `  <hashlist sequencenr="${h.sequence}">`,
+        `    <path>${escapeXml(h.path)}</path>`,
+        `    <c4>${h.c4}</c4>`,
+        '  </hashlist>'
+    ].join('\n')).join('\n');
+
+    await fsp.writeFile(path.join(mhlDir, CHAIN_FILE), `<?xml version="1.0" encoding="UTF-8"?>
+<ascmhldirectory xmlns="urn:ASC:MHL:DIRECTORY:v2.0">
+${entries}
+</ascmhldirectory>
+`);
+}
+
+// Append a new generation to <root>/ascmhl and record it in the chain file
+async function writeGeneration(root, entries, options) {
+    const mhlDir = path.join(root, MHL_FOLDER);
+    await fsp.mkdir(mhlDir, { recursive: true });
+
+    const chain = await readChain(mhlDir);
+    const sequence = chain.reduce((max, h) => Math.max(max, h.sequence), 0) + 1;
+    const date = new Date();
+    const stamp = date.toISOString().replace(/\.\d{3}Z$/, 'Z').replace('T', '_').replace(/:/g, '');
+    const fileName = `${String(sequence).padStart(4, '0')}_${path.basename(root)}_${stamp}.mhl`;
+
+    const xml = buildHashlistXml(entries, { ...options, date });
+    await fsp.writeFile(path.join(mhlDir, fileName), xml);
+
+    chain.push({ sequence, path: fileName, c4: c4Id(Buffer.from(xml)) });
+    await writeChain(mhlDir, chain);
+
+    return path.join(mhlDir, fileName);
+}
+
+// Latest known hashes for every path across all generations of <root>/ascmhl
+async function readManifest(root) {
+    const mhlDir = path.join(root, MHL_FOLDER);
+    const chain = await readChain(mhlDir);
+    if (chain.length === 0) {
+        throw new Error(`No ASC MHL history found in ${root}`);
+    }
+
+    const files = {};
+    for (const generation of chain.sort((a, b) => a.sequence - b.sequence)) {
+        const content = await fsp.readFile(path.join(mhlDir, generation.path), 'utf-8');
+        const data = parser.parse(content);
+        for (const hash of data.hashlist?.[0]?.hashes?.hash || []) {
+            const filePath = typeof hash.path === 'object' ? hash.path['#text'] : hash.path;
+            const entry = files[filePath] || { path: filePath, hashes: {} };
+            entry.size = typeof hash.path === 'object' ? Number(hash.path['@_size']) : entry.size;
+            for (const algorithm of SUPPORTED_ALGORITHMS) {
+                if (hash[algorithm] !== undefined) {
+                    const value = typeof hash[algorithm] === 'object' ? hash[algorithm]['#text'] : hash[algorithm];
+                    entry.hashes[algorithm] = String(value).toLowerCase();
+                }
+            }
+            files[filePath] = entry;
+        }
+    }
+    return files;
+}
+
+async function createManifest(root, { algorithms = ['xxh64'], progressCallback = () => {} } = {}) {
+    const selected = algorithms.filter(a => SUPPORTED_ALGORITHMS.includes(a));
+    if (selected.length === 0) {
+        throw new Error(`No supported hash algorithm in: ${algorithms.join(', ')}`);
+    }
+
+    console.log(`\n🔐 Hashing ${root} (${selected.join(', ')})`);
+    const files = await listFiles(root);
+    const { results, totalBytes } = await hashFiles(root, files, selected, progressCallback, 'Hashing');
+
+    const manifestPath = await writeGeneration(root, results, { process: 'in-place', action: 'original' });
+    console.log(`✅ Wrote ${path.basename(manifestPath)} (${results.length} files)`);
+
+    progressCallback({ step: 'done', message: 'Manifest written', progress: 100 });
+    return { manifestPath, fileCount: results.length, totalBytes };
+}
+
+// Re-hash a copy and compare it with the manifest of the original (or its own ascmhl folder)
+async function verifyManifest(copyRoot, { manifestRoot = copyRoot, progressCallback = () => {} } = {}) {
+    const manifest = await readManifest(manifestRoot);
+    const files = await listFiles(copyRoot);
+    const onDisk = new Set(files.map(f => toMhlPath(copyRoot, f)));
+
+    const expected = files.filter(f => manifest[toMhlPath(copyRoot, f)]);
+    const algorithms = SUPPORTED_ALGORITHMS.filter(a => Object.values(manifest).some(e => e.hashes[a]));
+
+    console.log(`\n🔍 Verifying ${copyRoot} against ${manifestRoot}`);
+    const { results } = await hashFiles(copyRoot, expected, algorithms, progressCallback, 'Verifying');
+
+    const report = {
+        copyRoot,
+        manifestRoot,
+        verified: [],
+        mismatched: [],
+        missing: Object.keys(manifest).filter(p => !onDisk.has(p)).sort(),
+        extra: [...onDisk].filter(p => !manifest[p]).sort()
+    };
+
+    for (const result of results) {
+        const entry = manifest[result.path];
+        const mismatch = Object.entries(entry.hashes)
+            .find(([algorithm, digest]) => result.hashes[algorithm] && result.hashes[algorithm] !== digest);
+        if (mismatch) {
+            report.mismatched.push({
+                path: result.path,
+                algorithm: mismatch[0],
+                expected: mismatch[1],
+                actual: result.hashes[mismatch[0]]
+            });
+        } else {
+            report.verified.push(result.path);
+        }
+    }
+
+    const ok = report.mismatched.length === 0 && report.missing.length === 0;
+    console.log(`${ok ? '✅' : '❌'} Verified ${report.verified.length}, mismatched ${report.mismatched.length}, missing ${report.missing.length}, extra ${report.extra.length}`);
+
+    progressCallback({ step: 'done', message: 'Verification complete', progress: 100 });
+    return report;
+}
+
+module.exports = { createManifest, verifyManifest, readManifest, hashFile, createXXH64, listFiles };
@@ -0,0 +1,259 @@
+const {
+    collectClips,
+    cameraName,
+    defaultTitle,
+    escapeXml,
+    fcpxmlTime,
+    createFcpxmlResources,
+    fcpxmlDocument
+} = require('./nleExport.cjs');
+const { zoneOf } = require('./timecode.cjs');
+
+const SECONDS_PER_DAY = 86400;
+
+const toMillis = (seconds) => Math.round(seconds * 1000) / 1000;
+
+/**
+ * Absolute start of a clip in seconds since the epoch. LTC gives the local
+ * time of day to the frame, so it is anchored to the camera's local midnight
+ * (zoneMinutes east of UTC) and lands on the same clock as CreateDate; the
+ * recording date picks the day (the one that puts the timecode closest to
+ * CreateDate, so a wrong time zone cannot move it by a day). Timecode is the
+ * reference a clock correction is measured against, so the day comes from the
+ * camera's own, uncorrected date. Without timecode, CreateDate (corrected) is
+ * used as-is. The per-camera offset shifts either. Returns null when the clip
+ * has neither.
+ */
+function clipStartTime(clip, offsetSeconds, zoneMinutes = 0) {
+    const toSeconds = (value) => (value ? new Date(value).getTime() / 1000 : NaN);
+    const { timing } = clip;
+
+    if (timing.hasTimecode) {
+        const created = toSeconds(clip.file.createdOriginal ?? clip.file.created);
+        const timeOfDay = timing.startFrames / timing.rate.fps;
+        const zone = zoneMinutes * 60;
+        let time = timeOfDay - zone;
+        if (!isNaN(created)) {
+            const local = created + zone;
+            const midnight = local - (((local % SECONDS_PER_DAY) + SECONDS_PER_DAY) % SECONDS_PER_DAY);
+            time = [-1, 0, 1]
+                .map(day => midnight + day * SECONDS_PER_DAY + timeOfDay)
+                .reduce((best, t) => (Math.abs(t - local) < Math.abs(best - local) ? t : best)) - zone;
+        }
+        return { time: time + offsetSeconds, source: 'timecode' };
+    }
+    const created = toSeconds(clip.file.created);
+    if (!isNaN(created)) {
+        return { time: created + offsetSeconds, source: 'date' };
+    }
+    return null;
+}
+
+// The zone most of the camera's sidecars (M01 CreationDate) were written in; UTC when none says
+function cameraZone(camera) {
+    const counts = new Map();
+    for (const file of camera.files) {
+        const zone = zoneOf(file.creationDate);
+        if (zone !== null) counts.set(zone, (counts.get(zone) || 0) + 1);
+    }
+    return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] ?? 0;
+}
+
+// Overlapping clips, regardless of camera, chained into runs; runs that hold
+// more than one camera are sync groups
+function buildSyncGroups(results, { offsets = {} } = {}) {
+    const placed = [];
+    for (const camera of results.cameras) {
+        const zone = cameraZone(camera);
+        for (const clip of collectClips(camera).clips) {
+            const ownZone = zoneOf(clip.file.creationDate);
+            const start = clipStartTime(clip, Number(offsets[camera.id]) || 0, ownZone ?? zone);
+            if (!start) continue;
+            placed.push({ clip, camera, ...start, end: start.time + clip.timing.durationFrames / clip.timing.rate.fps });
+        }
+    }
+    placed.sort((a, b) => a.time - b.time);
+
+    const runs = [];
+    for (const entry of placed) {
+        const run = runs[runs.length - 1];
+        if (run && entry.time < run.end) {
+            run.entries.push(entry);
+            run.end = Math.max(run.end, entry.end);
+        } else {
+            runs.push({ start: entry.time, end: entry.end, entries: [entry] });
+        }
+    }
+
+    return runs
+        .filter(run => new Set(run.entries.map(e => e.camera.id)).size > 1)
+        .map((run, index) => {
+            const angles = new Map();
+            for (const entry of run.entries) {
+                if (!angles.has(entry.camera.id)) angles.set(entry.camera.id, { camera: entry.camera, entries: [] });
+                angles.get(entry.camera.id).entries.push(entry);
+            }
+            return { id: index + 1, name: `Sync ${index + 1}`, start: run.start, end: run.end, angles: [...angles.values()] };
+        });
+}
+
+/**
+ * Sync groups for display: per camera, each clip's position and length in
+ * seconds from the start of the group, and whether timecode or the recording
+ * date placed it. `offsets` maps camera serial to seconds.
+ */
+function findSyncGroups(results, options = {}) {
+    return buildSyncGroups(results, options).map(group => ({
+        id: group.id,
+        name: group.name,
+        start: new Date(group.start * 1000).toISOString(),
+        duration: toMillis(group.end - group.start),
+        cameras: group.angles.map(({ camera, entries }) => ({
+            cameraId: camera.id,
+            model: camera.model,
+            label: camera.label || null,
+            clips: entries.map(entry => ({
+                filePath: entry.clip.file.filePath,
+                fileName: entry.clip.file.fileName,
+                offset: toMillis(entry.time - group.start),
+                duration: toMillis(entry.end - entry.time),
+                source: entry.source
+            }))
+        }))
+    }));
+}
+
+// The rate most clips in the group run at becomes the multicam's rate
+function groupFrameRate(group) {
+    const counts = new Map();
+    for (const { entries } of group.angles) {
+        for (const { clip } of entries) {
+            const key = clip.timing.rate.fps.toFixed(3);
+            counts.set(key, { rate: clip.timing.rate, dropFrame: clip.timing.dropFrame, count: (counts.get(key)?.count || 0) + 1 });
+        }
+    }
+    return [...counts.values()].sort((a, b) => b.count - a.count)[0];
+}
+
+// Timecode of the group start, taken from any timecode-synced clip in it
+function groupStartFrames(group, rate) {
+    for (const { entries } of group.angles) {
+        const entry = entries.find(e => e.source === 'timecode');
+        if (!entry) continue;
+        const timeOfDay = entry.clip.timing.startFrames / entry.clip.timing.rate.fps - (entry.time - group.start);
+        return Math.round((((timeOfDay % SECONDS_PER_DAY) + SECONDS_PER_DAY) % SECONDS_PER_DAY) * rate.fps);
+    }
+    return 0;
+}
+
+/**
+ * Clips of one angle on the group's timeline, in frames of the group rate.
+ * An angle is a single track, so a clip that starts before the previous one
+ * ended (same camera, clock adjusted mid-shoot) loses its overlapping head.
+ */
+function layoutAngle(entries, group, rate) {
+    const items = [];
+    let cursor = 0;
+    for (const entry of entries) {
+        const own = entry.clip.timing.rate;
+        let position = Math.round((entry.time - group.start) * rate.fps);
+        let length = Math.round((entry.clip.timing.durationFrames * rate.fps) / own.fps);
+        let trim = 0;
+        if (position < cursor) {
+            trim = cursor - position;
+            position = cursor;
+            length -= trim;
+        }
+        if (length <= 0) continue;
+
+        items.push({
+            clip: entry.clip,
+            position,
+            length,
+            sourceStart: entry.clip.timing.startFrames + Math.round((trim * own.fps) / rate.fps)
+        });
+        cursor = position + length;
+    }
+    return items;
+}
+
+function assetClipXml(item, assetId, offset, rate, indent, lane = null) {
+    return `${indent}<asset-clip ref="${assetId}"${lane !== null ? ` lane="${lane}"` : ''} name="${escapeXml(item.clip.name)}" ` +
+        `offset="${fcpxmlTime(offset, rate)}" start="${fcpxmlTime(item.sourceStart, item.clip.timing.rate)}" ` +
+        `duration="${fcpxmlTime(item.length, rate)}"/>`;
+}
+
+/**
+ * FCPXML with one multicam clip per sync group (an angle per camera) plus a
+ * project per group with the cameras stacked on lanes; Resolve imports the
+ * first as multicam clips and the second as timelines.
+ */
+function renderMulticamFcpxml(results, { offsets = {}, title = defaultTitle(results) } = {}) {
+    const resources = createFcpxmlResources();
+    const items = [];
+
+    for (const group of buildSyncGroups(results, { offsets })) {
+        const { rate: groupRate, dropFrame } = groupFrameRate(group);
+        const tcStart = groupStartFrames(group, groupRate);
+        const duration = Math.round((group.end - group.start) * groupRate.fps);
+        const tcFormat = dropFrame ? 'DF' : 'NDF';
+        // Any clip of the group's rate supplies the format resource
+        const formatClip = group.angles.flatMap(a => a.entries).find(e => e.clip.timing.rate.fps === groupRate.fps).clip;
+        const formatId = resources.formatFor(formatClip);
+
+        const layouts = group.angles.map(({ camera, entries }) => ({
+            camera,
+            items: layoutAngle(entries, group, groupRate).map(item => ({ ...item, assetId: resources.assetFor(item.clip, camera) }))
+        }));
+
+        const angles = layouts.map(({ camera, items: angleItems }) => {
+            const lines = [`                <mc-angle name="${escapeXml(cameraName(camera))}" angleID="${escapeXml(camera.id)}">`];
+            let cursor = 0;
+            for (const item of angleItems) {
+                if (item.position > cursor) {
+                    lines.push(`                    <gap name="Gap" offset="${fcpxmlTime(tcStart + cursor, groupRate)}" ` +
+                        `duration="${fcpxmlTime(item.position - cursor, groupRate)}"/>`);
+                }
+                lines.push(assetClipXml(item, item.assetId, tcStart + item.position, groupRate, '                    '));
+                cursor = item.position + item.length;
+            }
+            lines.push('                </mc-angle>');
+            return lines.join('\n');
+        });
+
+        const mediaId = resources.add(id => [
+            `        <media id="${id}" name="${escapeXml(group.name)}">`,
+            `            <multicam format="${formatId}" tcStart="${fcpxmlTime(tcStart, groupRate)}" tcFormat="${tcFormat}">`,
+            ...angles,
+            '            </multicam>',
+            '        </media>'
+        ].join('\n'));
+
+        items.push([
+            `            <mc-clip ref="${mediaId}" name="${escapeXml(group.name)}" offset="0s" ` +
+                `start="${fcpxmlTime(tcStart, groupRate)}" duration="${fcpxmlTime(duration, groupRate)}">`,
+            `                <mc-source angleID="${escapeXml(layouts[0].camera.id)}" srcEnable="all"/>`,
+            '            </mc-clip>'
+        ].join('\n'));
+
+        const stacked = layouts.flatMap(({ items: angleItems }, lane) => angleItems.map(item =>
+            assetClipXml(item, item.assetId, tcStart + item.position, groupRate, '                        ', lane + 1)));
+        items.push([
+            `            <project name="${escapeXml(`${group.name} (stacked)`)}">`,
+            `                <sequence format="${formatId}" duration="${fcpxmlTime(duration, groupRate)}" ` +
+                `tcStart="${fcpxmlTime(tcStart, groupRate)}" tcFormat="${tcFormat}">`,
+            '                    <spine>',
+            `                        <gap name="Gap" offset="${fcpxmlTime(tcStart, groupRate)}" start="${fcpxmlTime(tcStart, groupRate)}" ` +
+                `duration="${fcpxmlTime(duration, groupRate)}">`,
+            ...stacked.map(line => `    ${line}`),
+            '                        </gap>',
+            '                    </spine>',
+            '                </sequence>',
+            '            </project>'
+        ].join('\n'));
+    }
+
+    return fcpxmlDocument(resources, `${title} Multicam`, items);
+}
+
+module.exports = { findSyncGroups, renderMulticamFcpxml };
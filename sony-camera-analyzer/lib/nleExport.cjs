@@ -0,0 +1,384 @@
+const { pathToFileURL } = require('url');
+const path = require('path');
+const { getCardRoot } = require('./cardRoot.cjs');
+const { isProxyFile } = require('./reportFields.cjs');
+const { clipTiming, formatTimecode, parseTimecode } = require('./timecode.cjs');
+
+// Clip lists for editing software: FCPXML (Final Cut Pro, Resolve), xmeml
+// (Premiere Pro / FCP 7 XML) and CMX3600 EDLs. Cameras become keyword
+// collections (FCPXML), bins (xmeml) or one EDL each.
+
+const FCPXML_VERSION = '1.10';
+const EDL_MAX_EVENTS = 999;
+const EDL_RECORD_START = '01:00:00:00';
+const DEFAULT_AUDIO_CHANNELS = 2;
+
+function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// The user's label when the camera has one, model and serial otherwise
+function cameraName(camera) {
+    return camera.label || `${camera.model} ${camera.id}`;
+}
+
+function clipName(filePath) {
+    return path.basename(filePath, path.extname(filePath));
+}
+
+function defaultTitle(results) {
+    return results.folderPath ? path.basename(results.folderPath) : 'Footage';
+}
+
+// Key shared by a main clip and its proxy: card root + name without "S03"
+function clipKey(filePath) {
+    const name = clipName(filePath);
+    return path.join(getCardRoot(filePath), isProxyFile(filePath) ? name.slice(0, -3) : name).toUpperCase();
+}
+
+/**
+ * Main clips of a camera with their proxy, in recording order. The proxy is
+ * the one MEDIAPRO.XML names when it was found on disk, otherwise the S03 file
+ * next to it. Proxies without a main clip stand in for it. Clips whose frame
+ * rate is unknown cannot be placed on a timeline and are returned separately.
+ */
+function collectClips(camera) {
+    const byPath = new Map(camera.files.map(f => [path.normalize(f.filePath).toLowerCase(), f]));
+    const proxies = new Map(camera.files.filter(f => isProxyFile(f.filePath)).map(f => [clipKey(f.filePath), f]));
+    const linked = new Set();
+    const entries = [];
+
+    for (const file of camera.files) {
+        if (isProxyFile(file.filePath)) continue;
+        const proxy = (file.proxyPath && byPath.get(path.normalize(file.proxyPath).toLowerCase())) ||
+            proxies.get(clipKey(file.filePath)) || null;
+        if (proxy) linked.add(proxy);
+        entries.push({ file, proxy });
+    }
+    for (const proxy of proxies.values()) {
+        if (!linked.has(proxy)) entries.push({ file: proxy, proxy: null });
+    }
+
+    const clips = [];
+    const skipped = [];
+    for (const entry of entries) {
+        const timing = clipTiming(entry.file);
+        if (timing && timing.durationFrames > 0) {
+            clips.push({ ...entry, timing, name: clipName(entry.file.filePath) });
+        } else {
+            skipped.push(entry.file);
+        }
+    }
+    if (skipped.length > 0) {
+        console.log(`⚠️  ${cameraName(camera)}: ${skipped.length} clip(s) without frame rate or duration left out of NLE export`);
+    }
+
+    const recorded = (clip) => (clip.file.created ? new Date(clip.file.created).getTime() : Infinity);
+    clips.sort((a, b) => (recorded(a) - recorded(b)) || a.name.localeCompare(b.name));
+    return { clips, skipped };
+}
+
+function audioChannels(file) {
+    return file.manifest?.channels || DEFAULT_AUDIO_CHANNELS;
+}
+
+// Rational seconds as FCPXML writes them ("1001/30000s", "100/2500s")
+function fcpxmlTime(frames, rate) {
+    if (!frames) return '0s';
+    return rate.ntsc
+        ? `${frames * 1001}/${rate.base * 1000}s`
+        : `${frames * 100}/${rate.base * 100}s`;
+}
+
+function fcpxmlAsset(clip, id, formatId, camera) {
+    const { file, proxy, timing } = clip;
+    const channels = audioChannels(file);
+    const mediaReps = [`            <media-rep kind="original-media" src="${escapeXml(pathToFileURL(file.filePath).href)}"/>`];
+    if (proxy) {
+        mediaReps.push(`            <media-rep kind="proxy-media" src="${escapeXml(pathToFileURL(proxy.filePath).href)}"/>`);
+    }
+    return [
+        `        <asset id="${id}" name="${escapeXml(clip.name)}" start="${fcpxmlTime(timing.startFrames, timing.rate)}" ` +
+            `duration="${fcpxmlTime(timing.durationFrames, timing.rate)}" hasVideo="1" format="${formatId}" ` +
+            `hasAudio="1" audioSources="1" audioChannels="${channels}" audioRate="48000">`,
+        ...mediaReps,
+        '            <metadata>',
+        `                <md key="com.apple.proapps.studio.reel" value="${escapeXml(clip.name)}"/>`,
+        `                <md key="com.apple.proapps.mio.cameraName" value="${escapeXml(cameraName(camera))}"/>`,
+        '            </metadata>',
+        '        </asset>'
+    ].join('\n');
+}
+
+// Format and asset resources shared by every FCPXML document
+function createFcpxmlResources() {
+    const formats = new Map();
+    const assets = new Map();
+    const elements = [];
+    let nextId = 1;
+
+    const formatFor = (clip) => {
+        const { rate } = clip.timing;
+        const { width, height } = clip.file;
+        const key = `${rate.base}|${rate.ntsc}|${width}|${height}`;
+        if (!formats.has(key)) {
+            const id = `r${nextId++}`;
+            const size = width && height ? ` width="${width}" height="${height}"` : '';
+            elements.push(`        <format id="${id}" frameDuration="${fcpxmlTime(1, rate)}"${size}/>`);
+            formats.set(key, id);
+        }
+        return formats.get(key);
+    };
+
+    const assetFor = (clip, camera) => {
+        if (!assets.has(clip.file.filePath)) {
+            const formatId = formatFor(clip);
+            const id = `r${nextId++}`;
+            elements.push(fcpxmlAsset(clip, id, formatId, camera));
+            assets.set(clip.file.filePath, id);
+        }
+        return assets.get(clip.file.filePath);
+    };
+
+    const add = (element) => {
+        const id = `r${nextId++}`;
+        elements.push(element(id));
+        return id;
+    };
+
+    return { formatFor, assetFor, add, toXml: () => elements.join('\n') };
+}
+
+function fcpxmlDocument(resources, eventName, items) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE fcpxml>
+<fcpxml version="${FCPXML_VERSION}">
+    <resources>
+${resources.toXml()}
+    </resources>
+    <library>
+        <event name="${escapeXml(eventName)}">
+${items.join('\n')}
+        </event>
+    </library>
+</fcpxml>
+`;
+}
+
+/**
+ * One FCPXML event holding every clip, with a keyword collection per camera.
+ * Assets link the proxy as proxy-media so Final Cut can switch to it.
+ */
+function renderFcpxml(results, { title = defaultTitle(results) } = {}) {
+    const resources = createFcpxmlResources();
+    const clipElements = [];
+
+    for (const camera of results.cameras) {
+        const keyword = escapeXml(cameraName(camera));
+        for (const clip of collectClips(camera).clips) {
+            const assetId = resources.assetFor(clip, camera);
+            const { timing } = clip;
+            const start = fcpxmlTime(timing.startFrames, timing.rate);
+            const duration = fcpxmlTime(timing.durationFrames, timing.rate);
+            clipElements.push([
+                `            <asset-clip ref="${assetId}" name="${escapeXml(clip.name)}" start="${start}" duration="${duration}" ` +
+                    `format="${resources.formatFor(clip)}" tcFormat="${timing.dropFrame ? 'DF' : 'NDF'}">`,
+                `                <keyword start="${start}" duration="${duration}" value="${keyword}"/>`,
+                '            </asset-clip>'
+            ].join('\n'));
+        }
+    }
+
+    const collections = results.cameras.map(camera =>
+        `            <keyword-collection name="${escapeXml(cameraName(camera))}"/>`);
+
+    return fcpxmlDocument(resources, title, [...clipElements, ...collections]);
+}
+
+function xmemlRate(rate, indent) {
+    return `${indent}<rate><timebase>${rate.base}</timebase><ntsc>${rate.ntsc ? 'TRUE' : 'FALSE'}</ntsc></rate>`;
+}
+
+// Premiere writes file://localhost/ URLs
+function xmemlPathUrl(filePath) {
+    return pathToFileURL(filePath).href.replace(/^file:\/\/\//, 'file://localhost/');
+}
+
+function xmemlClip(clip, camera, index) {
+    const { file, proxy, timing } = clip;
+    const { rate } = timing;
+    const i = '                    ';
+    const size = file.width && file.height
+        ? `<width>${file.width}</width><height>${file.height}</height>`
+        : '';
+    // xmeml has no proxy element; the path travels in the master comment
+    const comment = proxy ? `Proxy: ${proxy.filePath}` : '';
+
+    return [
+        `${i}<clip id="masterclip-${index}">`,
+        `${i}    <masterclipid>masterclip-${index}</masterclipid>`,
+        `${i}    <ismasterclip>TRUE</ismasterclip>`,
+        `${i}    <name>${escapeXml(clip.name)}</name>`,
+        `${i}    <duration>${timing.durationFrames}</duration>`,
+        xmemlRate(rate, `${i}    `),
+        `${i}    <media>`,
+        `${i}        <video>`,
+        `${i}            <track>`,
+        `${i}                <clipitem id="clipitem-${index}">`,
+        `${i}                    <masterclipid>masterclip-${index}</masterclipid>`,
+        `${i}                    <name>${escapeXml(clip.name)}</name>`,
+        `${i}                    <duration>${timing.durationFrames}</duration>`,
+        xmemlRate(rate, `${i}                    `),
+        `${i}                    <in>0</in>`,
+        `${i}                    <out>${timing.durationFrames}</out>`,
+        `${i}                    <file id="file-${index}">`,
+        `${i}                        <name>${escapeXml(path.basename(file.filePath))}</name>`,
+        `${i}                        <pathurl>${escapeXml(xmemlPathUrl(file.filePath))}</pathurl>`,
+        xmemlRate(rate, `${i}                        `),
+        `${i}                        <duration>${timing.durationFrames}</duration>`,
+        `${i}                        <timecode>`,
+        xmemlRate(rate, `${i}                            `),
+        `${i}                            <string>${formatTimecode(timing.startFrames, rate.base, timing.dropFrame)}</string>`,
+        `${i}                            <frame>${timing.startFrames}</frame>`,
+        `${i}                            <displayformat>${timing.dropFrame ? 'DF' : 'NDF'}</displayformat>`,
+        `${i}                            <reel><name>${escapeXml(clip.name)}</name></reel>`,
+        `${i}                        </timecode>`,
+        `${i}                        <media>`,
+        `${i}                            <video><samplecharacteristics>${size}</samplecharacteristics></video>`,
+        `${i}                            <audio><channelcount>${audioChannels(file)}</channelcount></audio>`,
+        `${i}                        </media>`,
+        `${i}                    </file>`,
+        `${i}                </clipitem>`,
+        `${i}            </track>`,
+        `${i}        </video>`,
+        `${i}    </media>`,
+        `${i}    <comments><mastercomment1>${escapeXml(comment)}</mastercomment1>` +
+            `<mastercomment2>${escapeXml(camera.operator ? `Operator: ${camera.operator}` : '')}</mastercomment2></comments>`,
+        `${i}</clip>`
+    ].join('\n');
+}
+
+/**
+ * Premiere Pro / FCP 7 XML with one bin per camera. xmeml cannot attach
+ * proxies, so their paths are kept in each master clip's comment.
+ */
+function renderXmeml(results, { title = defaultTitle(results) } = {}) {
+    let index = 0;
+    const bins = results.cameras.map(camera => {
+        const clips = collectClips(camera).clips.map(clip => xmemlClip(clip, camera, ++index));
+        return [
+            '            <bin>',
+            `                <name>${escapeXml(cameraName(camera))}</name>`,
+            '                <children>',
+            ...clips,
+            '                </children>',
+            '            </bin>'
+        ].join('\n');
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE xmeml>
+<xmeml version="4">
+    <project>
+        <name>${escapeXml(title)}</name>
+        <children>
+${bins.join('\n')}
+        </children>
+    </project>
+</xmeml>
+`;
+}
+
+// CMX3600 reel names are at most 8 characters
+function edlReel(name) {
+    return name.toUpperCase().replace(/[^A-Z0-9_]/g, '').slice(0, 8) || 'AX';
+}
+
+// Labels need not be unique; the serial keeps the file names apart
+function edlFileStem(camera) {
+    return (camera.label ? `${camera.label} ${camera.id}` : cameraName(camera)).replace(/[^\w.-]+/g, '_');
+}
+
+function edlEvent(number, clip, recordFrames) {
+    const { timing } = clip;
+    const { base } = timing.rate;
+    const tc = (frames) => formatTimecode(frames, base, timing.dropFrame);
+    const sourceIn = timing.startFrames;
+    const sourceOut = sourceIn + timing.durationFrames;
+    const lines = [
+        `${String(number).padStart(3, '0')}  ${edlReel(clip.name).padEnd(8)} ${'AA/V'.padEnd(6)}${'C'.padEnd(9)}` +
+            `${tc(sourceIn)} ${tc(sourceOut)} ${tc(recordFrames)} ${tc(recordFrames + timing.durationFrames)}`,
+        `* FROM CLIP NAME: ${path.basename(clip.file.filePath)}`,
+        `* SOURCE FILE: ${clip.file.filePath}`
+    ];
+    if (clip.proxy) lines.push(`* PROXY FILE: ${clip.proxy.filePath}`);
+    return lines.join('\n');
+}
+
+/**
+ * One CMX3600 EDL per camera, clips cut back to back from 01:00:00:00 in
+ * recording order. An EDL has a single rate, so a camera that shot several
+ * rates gets one EDL per rate; more than 999 events continue in a second file.
+ * Returns [{ fileName, content }].
+ */
+function renderEdls(results) {
+    const files = [];
+
+    for (const camera of results.cameras) {
+        const groups = new Map();
+        for (const clip of collectClips(camera).clips) {
+            const { rate, dropFrame } = clip.timing;
+            const key = `${rate.fps.toFixed(3)}${dropFrame ? 'DF' : ''}`;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(clip);
+        }
+
+        for (const clips of groups.values()) {
+            const { rate, dropFrame } = clips[0].timing;
+            const rateLabel = groups.size > 1 ? `_${+rate.fps.toFixed(3)}${dropFrame ? 'DF' : ''}` : '';
+
+            for (let part = 0; part * EDL_MAX_EVENTS < clips.length; part++) {
+                const chunk = clips.slice(part * EDL_MAX_EVENTS, (part + 1) * EDL_MAX_EVENTS);
+                const partLabel = part > 0 ? `_${part + 1}` : '';
+                let record = parseTimecode(EDL_RECORD_START, rate.base);
+                const events = chunk.map((clip, i) => {
+                    const event = edlEvent(i + 1, clip, record);
+                    record += clip.timing.durationFrames;
+                    return event;
+                });
+
+                files.push({
+                    fileName: `${edlFileStem(camera)}${rateLabel}${partLabel}.edl`,
+                    content: [
+                        `TITLE: ${cameraName(camera)}${part > 0 ? ` (${part + 1})` : ''}`,
+                        `FCM: ${dropFrame ? 'DROP FRAME' : 'NON-DROP FRAME'}`,
+                        '',
+                        events.join('\n\n'),
+                        ''
+                    ].join('\n')
+                });
+            }
+        }
+    }
+
+    return files;
+}
+
+module.exports = {
+    renderFcpxml,
+    renderXmeml,
+    renderEdls,
+    // Building blocks for the multicam export
+    collectClips,
+    cameraName,
+    defaultTitle,
+    escapeXml,
+    fcpxmlTime,
+    createFcpxmlResources,
+    fcpxmlDocument
+};
@@ -0,0 +1,262 @@
+const { createXXH64, hashFile } = require('./mhl.cjs');
+const { renderPathTemplate } = require('./pathTemplate.cjs');
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_FOLDER_TEMPLATE = '{model}_{serial}/{card}';
+const STATE_FILE = '.sca-offload-state.json';
+const LOG_FOLDER = '_offload_logs';
+const PART_SUFFIX = '.sca-part';
+const COPY_CHUNK_SIZE = 4 * 1024 * 1024;
+const SKIPPED_NAMES = ['.DS_Store', 'Thumbs.db', STATE_FILE];
+
+// "{model}_{serial}/{card}" -> "ILCE-7SM3_1848CAFFFE726718/CARD_A"
+function renderFolderTemplate(template, card) {
+    return renderPathTemplate(template, {
+        card: card.card,
+        model: card.model,
+        serial: card.serialNumber,
+        date: new Date().toISOString().split('T')[0]
+    });
+}
+
+function isInside(parent, child) {
+    const relative = path.relative(path.resolve(parent), path.resolve(child));
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+async function listCardFiles(root) {
+    const files = [];
+
+    async function scan(directory) {
+        const entries = await fs.readdir(directory, { withFileTypes: true });
+        for (const entry of entries) {
+            if (SKIPPED_NAMES.includes(entry.name) || entry.name.startsWith('._')) continue;
+            const fullPath = path.join(directory, entry.name);
+            if (entry.isDirectory()) {
+                await scan(fullPath);
+            } else if (entry.isFile()) {
+                files.push(fullPath);
+            }
+        }
+    }
+
+    await scan(root);
+    return files.sort();
+}
+
+async function readState(destCardRoot) {
+    try {
+        return JSON.parse(await fs.readFile(path.join(destCardRoot, STATE_FILE), 'utf-8'));
+    } catch {
+        return { files: {} };
+    }
+}
+
+async function writeState(destCardRoot, state) {
+    await fs.writeFile(path.join(destCardRoot, STATE_FILE), JSON.stringify(state, null, 2));
+}
+
+async function sizeOrNull(filePath) {
+    try {
+        return (await fs.stat(filePath)).size;
+    } catch {
+        return null;
+    }
+}
+
+// Per-job transcript, appended to <destination>/_offload_logs/ in every destination root
+function createTranscript(jobId, destinations) {
+    const logPaths = destinations.map(d => path.join(d, LOG_FOLDER, `offload_${jobId}.log`));
+
+    return {
+        logPaths,
+        async log(message) {
+            const line = `[${new Date().toISOString()}] ${message}\n`;
+            console.log(`🚚 ${message}`);
+            await Promise.all(logPaths.map(async logPath => {
+                await fs.mkdir(path.dirname(logPath), { recursive: true });
+                await fs.appendFile(logPath, line);
+            }));
+        }
+    };
+}
+
+/**
+ * Copy one source file to every target at once, reading the source a single time.
+ * Targets whose .part file already holds a prefix only receive the remaining bytes;
+ * the source is still hashed from byte 0 so the checksum always describes the source.
+ */
+async function copyToTargets(sourcePath, targets, onBytes) {
+    const source = await fs.open(sourcePath, 'r');
+    const hasher = await createXXH64();
+    const handles = [];
+
+    try {
+        for (const target of targets) {
+            await fs.mkdir(path.dirname(target.partPath), { recursive: true });
+            const existing = await sizeOrNull(target.partPath);
+            target.offset = existing !== null && existing <= target.sourceSize ? existing : 0;
+            handles.push(await fs.open(target.partPath, target.offset > 0 ? 'r+' : 'w'));
+        }
+
+        const buffer = Buffer.alloc(COPY_CHUNK_SIZE);
+        let position = 0;
+        while (true) {
+            const { bytesRead } = await source.read(buffer, 0, buffer.length, position);
+            if (bytesRead === 0) break;
+
+            const chunk = buffer.subarray(0, bytesRead);
+            hasher.update(chunk);
+
+            await Promise.all(targets.map((target, i) => {
+                const chunkEnd = position + bytesRead;
+                if (chunkEnd <= target.offset) return null;
+                const skip = Math.max(0, target.offset - position);
+                return handles[i].write(chunk, skip, bytesRead - skip, position + skip);
+            }));
+
+            position += bytesRead;
+            onBytes(bytesRead);
+        }
+
+        await Promise.all(handles.map(handle => handle.sync()));
+    } finally {
+        await source.close();
+        await Promise.all(handles.map(handle => handle.close()));
+    }
+
+    return hasher.digest();
+}
+
+async function offloadCard(card, destinations, { folderTemplate, transcript, onBytes }) {
+    const files = await listCardFiles(card.cardRoot);
+    const report = { card: card.card, cardRoot: card.cardRoot, destinations: [] };
+
+    const targetsByDest = [];
+    for (const destination of destinations) {
+        const destCardRoot = path.join(destination, renderFolderTemplate(folderTemplate, card));
+        await fs.mkdir(destCardRoot, { recursive: true });
+        const state = await readState(destCardRoot);
+        targetsByDest.push({ destCardRoot, state });
+        report.destinations.push({ destCardRoot, copied: 0, skipped: 0, failed: [] });
+        await transcript.log(`Card ${card.card} -> ${destCardRoot} (${files.length} files)`);
+    }
+
+    for (const sourcePath of files) {
+        const relativePath = path.relative(card.cardRoot, sourcePath);
+        const sourceStats = await fs.stat(sourcePath);
+
+        // Resume: skip destinations that already hold a verified copy of this exact source
+        const pending = [];
+        for (let i = 0; i < targetsByDest.length; i++) {
+            const { destCardRoot, state } = targetsByDest[i];
+            const finalPath = path.join(destCardRoot, relativePath);
+            const entry = state.files[relativePath];
+            if (entry && entry.verified && entry.size === sourceStats.size &&
+                entry.sourceMtimeMs === sourceStats.mtimeMs && (await sizeOrNull(finalPath)) === sourceStats.size) {
+                report.destinations[i].skipped++;
+                continue;
+            }
+            pending.push({
+                index: i,
+                finalPath,
+                partPath: finalPath + PART_SUFFIX,
+                sourceSize: sourceStats.size
+            });
+        }
+
+        if (pending.length === 0) {
+            onBytes(sourceStats.size * 2);
+            continue;
+        }
+
+        try {
+            const sourceHash = await copyToTargets(sourcePath, pending, onBytes);
+
+            for (const target of pending) {
+                const { destCardRoot, state } = targetsByDest[target.index];
+                const destReport = report.destinations[target.index];
+                const { xxh64: copyHash } = await hashFile(target.partPath, ['xxh64'], (bytes) => onBytes(bytes / pending.length));
+
+                if (copyHash !== sourceHash) {
+                    // Drop the bad partial so the next run copies it from scratch
+                    await fs.rm(target.partPath, { force: true });
+                    destReport.failed.push({ path: relativePath, error: `Checksum mismatch (${copyHash} != ${sourceHash})` });
+                    await transcript.log(`FAILED ${relativePath} -> ${destCardRoot}: checksum mismatch`);
+                    continue;
+                }
+
+                await fs.rename(target.partPath, target.finalPath);
+                await fs.utimes(target.finalPath, sourceStats.atime, sourceStats.mtime);
+                state.files[relativePath] = {
+                    size: sourceStats.size,
+                    sourceMtimeMs: sourceStats.mtimeMs,
+                    xxh64: sourceHash,
+                    verified: true
+                };
+                await writeState(destCardRoot, state);
+                destReport.copied++;
+                await transcript.log(`OK ${relativePath} -> ${destCardRoot} xxh64:${sourceHash}${target.offset > 0 ? ` (resumed at ${target.offset} bytes)` : ''}`);
+            }
+        } catch (error) {
+            for (const target of pending) {
+                report.destinations[target.index].failed.push({ path: relativePath, error: error.message });
+            }
+            await transcript.log(`FAILED ${relativePath}: ${error.message}`);
+        }
+    }
+
+    return report;
+}
+
+/**
+ * Copy card folders to one or more destination roots with hash verification.
+ * Sources are only ever opened for reading.
+ */
+async function offloadCards({ cards, destinations, folderTemplate = DEFAULT_FOLDER_TEMPLATE, progressCallback = () => {} }) {
+    if (!cards || cards.length === 0) throw new Error('No cards selected for offload');
+    if (!destinations || destinations.length === 0) throw new Error('No destination selected');
+
+    for (const card of cards) {
+        for (const destination of destinations) {
+            if (isInside(card.cardRoot, destination)) {
+                throw new Error(`Destination ${destination} is inside source card ${card.cardRoot}`);
+            }
+        }
+    }
+
+    const jobId = new Date().toISOString().replace(/[:.]/g, '-');
+    const transcript = createTranscript(jobId, destinations);
+    await transcript.log(`Offload job ${jobId}: ${cards.length} card(s) to ${destinations.join(', ')}`);
+
+    // Every byte is read once for the copy and once more for verification
+    let totalBytes = 0;
+    for (const card of cards) {
+        for (const file of await listCardFiles(card.cardRoot)) {
+            totalBytes += (await fs.stat(file)).size * 2;
+        }
+    }
+    let doneBytes = 0;
+    const onBytes = (bytes) => {
+        doneBytes += bytes;
+        progressCallback({
+            step: 'offload',
+            message: `Offloading... ${(doneBytes / (1024 * 1024 * 1024)).toFixed(2)} / ${(totalBytes / (1024 * 1024 * 1024)).toFixed(2)} GB`,
+            progress: totalBytes > 0 ? Math.min(99, Math.round((doneBytes / totalBytes) * 100)) : 99
+        });
+    };
+
+    const reports = [];
+    for (const card of cards) {
+        reports.push(await offloadCard(card, destinations, { folderTemplate, transcript, onBytes }));
+    }
+
+    const failedCount = reports.reduce((sum, r) => sum + r.destinations.reduce((s, d) => s + d.failed.length, 0), 0);
+    await transcript.log(`Job ${jobId} finished with ${failedCount} failure(s)`);
+    progressCallback({ step: 'done', message: 'Offload complete', progress: 100 });
+
+    return { jobId, transcriptPaths: transcript.logPaths, cards: reports, failedCount };
+}
+
+module.exports = { offloadCards, renderFolderTemplate, DEFAULT_FOLDER_TEMPLATE };
@@ -0,0 +1,314 @@
+const { getCardRoot } = require('./cardRoot.cjs');
+const { findExistingThumbnail } = require('./thumbnail.cjs');
+const { renderPathTemplate } = require('./pathTemplate.cjs');
+const { isProxyFile } = require('./reportFields.cjs');
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_TEMPLATE = '{date}/{camera}';
+const JOURNAL_FOLDER = '.sca-organize';
+const MODES = ['move', 'link'];
+
+// Companion files travel with their clip into these sub-folders
+const COMPANION_FOLDERS = {
+    clip: '',
+    sidecar: '',
+    proxy: 'Proxy',
+    thumbnail: 'Thumbnails'
+};
+
+// Local date, the day the Dashboard groups the clip under
+function formatDateToken(created) {
+    const date = created ? new Date(created) : null;
+    if (!date || isNaN(date.getTime())) return 'Unknown Date';
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function isInside(parent, child) {
+    const relative = path.relative(path.resolve(parent), path.resolve(child));
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+async function exists(filePath) {
+    try {
+        await fs.access(filePath);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Main clip plus the proxy, thumbnail and M01 sidecar that belong to it
+async function collectClipFiles(video, cameraFiles) {
+    const files = [{ kind: 'clip', path: video.filePath }];
+    const baseName = path.basename(video.filePath, path.extname(video.filePath));
+
+    if (!isProxyFile(video.filePath)) {
+        const proxy = cameraFiles.find(f => isProxyFile(f.filePath) &&
+            path.basename(f.filePath, path.extname(f.filePath)).toUpperCase() === `${baseName}S03`.toUpperCase() &&
+            getCardRoot(f.filePath) === getCardRoot(video.filePath));
+        if (proxy) files.push({ kind: 'proxy', path: proxy.filePath });
+    }
+
+    if (video.sidecarPath && !isProxyFile(video.filePath)) {
+        files.push({ kind: 'sidecar', path: video.sidecarPath });
+    }
+
+    const thumbnail = await findExistingThumbnail(video.filePath);
+    if (thumbnail) files.push({ kind: 'thumbnail', path: thumbnail });
+
+    return files;
+}
+
+/**
+ * Build a dry-run plan that moves (or hard-links) every camera clip and its
+ * companion files into targetRoot/<template>. Backup and duplicate copies stay
+ * where they are and are listed as skipped. Nothing is touched on disk.
+ */
+async function buildOrganizePlan(results, { targetRoot, template = DEFAULT_TEMPLATE, mode = 'move' }) {
+    if (!targetRoot) throw new Error('No target folder selected');
+    if (!MODES.includes(mode)) throw new Error(`Unknown organize mode: ${mode}`);
+
+    const operations = [];
+    const claimedSources = new Set();
+    const claimedTargets = new Set();
+
+    for (const camera of results.cameras) {
+        // Proxies whose main clip is present are planned together with that clip
+        const mainNames = new Set(camera.files.filter(f => !isProxyFile(f.filePath))
+            .map(f => path.basename(f.filePath, path.extname(f.filePath)).toUpperCase()));
+        const clips = camera.files.filter(f => !isProxyFile(f.filePath) ||
+            !mainNames.has(path.basename(f.filePath, path.extname(f.filePath)).slice(0, -3).toUpperCase()));
+
+        for (const video of clips) {
+            const folder = renderPathTemplate(template, {
+                date: formatDateToken(video.created),
+                camera: `${camera.model}_${camera.id}`,
+                model: camera.model,
+                serial: camera.id,
+                card: path.basename(getCardRoot(video.filePath))
+            });
+
+            for (const file of await collectClipFiles(video, camera.files)) {
+                const sourceKey = path.normalize(file.path).toLowerCase();
+                if (claimedSources.has(sourceKey)) continue;
+                claimedSources.add(sourceKey);
+
+                const to = path.join(targetRoot, folder, COMPANION_FOLDERS[file.kind], path.basename(file.path));
+                if (!isInside(targetRoot, to)) throw new Error(`Template "${template}" leads outside the target folder`);
+                const targetKey = path.normalize(to).toLowerCase();
+                const operation = { kind: file.kind, from: file.path, to, camera: camera.id, status: 'pending' };
+
+                if (sourceKey === targetKey) {
+                    operation.status = 'unchanged';
+                } else if (claimedTargets.has(targetKey)) {
+                    operation.status = 'conflict';
+                    operation.reason = 'Another file in this plan has the same destination';
+                } else if (await exists(to)) {
+                    operation.status = 'conflict';
+                    operation.reason = 'Destination already exists';
+                }
+                claimedTargets.add(targetKey);
+                operations.push(operation);
+            }
+        }
+    }
+
+    // Only the primary of a clip stored more than once is organized
+    for (const group of results.duplicateGroups || []) {
+        for (const copy of group.copies) {
+            operations.push({
+                kind: 'clip',
+                from: copy.filePath,
+                to: null,
+                status: 'skipped',
+                reason: `${copy.kind === 'backup' ? 'Backup' : 'Duplicate'} of ${group.primary}`
+            });
+        }
+    }
+
+    const summary = operations.reduce((acc, op) => {
+        acc[op.status] = (acc[op.status] || 0) + 1;
+        return acc;
+    }, {});
+
+    console.log(`🗂️  Organize plan: ${operations.length} operations (${JSON.stringify(summary)})`);
+    return { targetRoot, template, mode, operations, summary };
+}
+
+// Filesystems without hard links (exFAT and FAT camera cards among them)
+const NO_LINK_ERRORS = ['EPERM', 'ENOTSUP', 'EOPNOTSUPP', 'ENOSYS'];
+
+// Never replaces an existing file: link + unlink and the EXDEV copy both fail with EEXIST
+async function moveFile(from, to) {
+    try {
+        await fs.link(from, to);
+        await fs.unlink(from);
+    } catch (error) {
+        if (NO_LINK_ERRORS.includes(error.code)) {
+            // rename would overwrite, so check right before it
+            if (await exists(to)) throw new Error('Destination already exists');
+            await fs.rename(from, to);
+            return;
+        }
+        if (error.code !== 'EXDEV') throw error;
+        // Different volume: copy, check the size, then remove the original
+        await fs.copyFile(from, to, fs.constants.COPYFILE_EXCL);
+        const [source, copy] = await Promise.all([fs.stat(from), fs.stat(to)]);
+        if (source.size !== copy.size) {
+            await fs.rm(to, { force: true });
+            throw new Error(`Copy of ${from} is incomplete`);
+        }
+        await fs.unlink(from);
+    }
+}
+
+// mkdir -p that records every folder it had to create
+async function ensureDir(dir, createdDirs) {
+    const missing = [];
+    let current = dir;
+    while (!(await exists(current))) {
+        missing.unshift(current);
+        const parent = path.dirname(current);
+        if (parent === current) break;
+        current = parent;
+    }
+    for (const folder of missing) {
+        await fs.mkdir(folder);
+        createdDirs.push(folder);
+    }
+}
+
+async function writeJournal(journalPath, journal) {
+    await fs.writeFile(journalPath, JSON.stringify(journal, null, 2));
+}
+
+/**
+ * Execute the pending operations of a plan. Every completed step is written to
+ * a journal before the next one starts, so undoOrganize can always roll back.
+ */
+async function executeOrganizePlan(plan, progressCallback = () => {}) {
+    const pending = plan.operations.filter(op => op.status === 'pending');
+    const journalDir = path.join(plan.targetRoot, JOURNAL_FOLDER);
+    await fs.mkdir(journalDir, { recursive: true });
+
+    const id = new Date().toISOString().replace(/[:.]/g, '-');
+    const journalPath = path.join(journalDir, `journal_${id}.json`);
+    const journal = {
+        id,
+        mode: plan.mode,
+        targetRoot: plan.targetRoot,
+        template: plan.template,
+        createdAt: new Date().toISOString(),
+        createdDirs: [],
+        entries: [],
+        failed: []
+    };
+    await writeJournal(journalPath, journal);
+
+    for (let i = 0; i < pending.length; i++) {
+        const op = pending[i];
+        try {
+            // Something may have appeared at the destination since the plan was built
+            if (await exists(op.to)) {
+                console.error(`Organize conflict for ${op.from}: ${op.to} already exists`);
+                journal.failed.push({ from: op.from, to: op.to, error: 'Destination already exists', conflict: true });
+            } else {
+                await ensureDir(path.dirname(op.to), journal.createdDirs);
+
+                if (plan.mode === 'link') {
+                    await fs.link(op.from, op.to);
+                } else {
+                    await moveFile(op.from, op.to);
+                }
+                journal.entries.push({ kind: op.kind, from: op.from, to: op.to });
+            }
+        } catch (error) {
+            console.error(`Organize failed for ${op.from}:`, error.message);
+            journal.failed.push({ from: op.from, to: op.to, error: error.message });
+        }
+        await writeJournal(journalPath, journal);
+
+        progressCallback({
+            step: 'organize',
+            message: `${plan.mode === 'link' ? 'Linking' : 'Moving'} ${i + 1}/${pending.length}: ${path.basename(op.from)}`,
+            progress: Math.round(((i + 1) / pending.length) * 100)
+        });
+    }
+
+    journal.completedAt = new Date().toISOString();
+    await writeJournal(journalPath, journal);
+    console.log(`✅ Organize done: ${journal.entries.length} ok, ${journal.failed.length} failed. Journal: ${journalPath}`);
+
+    return { journalPath, done: journal.entries.length, failed: journal.failed };
+}
+
+// Replay a journal backwards: move files back, or remove the hard links
+async function undoOrganize(journalPath, progressCallback = () => {}) {
+    const journal = JSON.parse(await fs.readFile(journalPath, 'utf-8'));
+    if (journal.undoneAt) throw new Error(`Journal ${path.basename(journalPath)} was already undone`);
+
+    const entries = [...journal.entries].reverse();
+    const failed = [];
+
+    for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i];
+        try {
+            if (journal.mode === 'link') {
+                const [original, link] = await Promise.all([fs.stat(entry.from), fs.stat(entry.to)]);
+                if (original.ino !== link.ino) throw new Error('Destination is no longer a link to the original');
+                await fs.unlink(entry.to);
+            } else {
+                if (await exists(entry.from)) throw new Error('Original location is occupied');
+                await fs.mkdir(path.dirname(entry.from), { recursive: true });
+                await moveFile(entry.to, entry.from);
+            }
+        } catch (error) {
+            failed.push({ from: entry.from, to: entry.to, error: error.message });
+        }
+
+        progressCallback({
+            step: 'organize',
+            message: `Undoing ${i + 1}/${entries.length}: ${path.basename(entry.from)}`,
+            progress: Math.round(((i + 1) / entries.length) * 100)
+        });
+    }
+
+    // Remove the folders the operation created, deepest first, if they are empty now
+    for (const dir of [...journal.createdDirs].sort((a, b) => b.length - a.length)) {
+        await fs.rmdir(dir).catch(() => {});
+    }
+
+    journal.undoneAt = new Date().toISOString();
+    journal.undoFailures = failed;
+    await writeJournal(journalPath, journal);
+    console.log(`↩️  Undo done: ${entries.length - failed.length} restored, ${failed.length} failed`);
+
+    return { restored: entries.length - failed.length, failed };
+}
+
+async function listOrganizeJournals(targetRoot) {
+    const journalDir = path.join(targetRoot, JOURNAL_FOLDER);
+    let names = [];
+    try {
+        names = (await fs.readdir(journalDir)).filter(n => n.startsWith('journal_') && n.endsWith('.json'));
+    } catch {
+        return [];
+    }
+
+    const journals = [];
+    for (const name of names.sort().reverse()) {
+        const journalPath = path.join(journalDir, name);
+        const journal = JSON.parse(await fs.readFile(journalPath, 'utf-8'));
+        journals.push({
+            journalPath,
+            mode: journal.mode,
+            createdAt: journal.createdAt,
+            entryCount: journal.entries.length,
+            undoneAt: journal.undoneAt || null
+        });
+    }
+    return journals;
+}
+
+module.exports = { buildOrganizePlan, executeOrganizePlan, undoOrganize, listOrganizeJournals, DEFAULT_TEMPLATE };
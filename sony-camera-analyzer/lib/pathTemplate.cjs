@@ -0,0 +1,18 @@
+const path = require('path');
+
+// "." and ".." are replaced too: a segment must never step out of the folder it is rendered into
+function sanitizeFolderName(value) {
+    return String(value || 'Unknown').replace(/[<>:"|?*\\/]+/g, '_').trim().replace(/^\.+$/, '_') || 'Unknown';
+}
+
+// Render "{date}/{camera}" style templates into a relative folder path.
+// Unknown tokens are left as-is so typos stay visible in the preview.
+function renderPathTemplate(template, tokens) {
+    return template
+        .split('/')
+        .filter(segment => segment !== '')
+        .map(segment => sanitizeFolderName(segment.replace(/\{(\w+)\}/g, (match, key) => tokens[key] ?? match)))
+        .join(path.sep);
+}
+
+module.exports = { renderPathTemplate, sanitizeFolderName };
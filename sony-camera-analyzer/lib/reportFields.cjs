@@ -0,0 +1,173 @@
+const { getCardRoot } = require('./cardRoot.cjs');
+const path = require('path');
+
+// Column catalogue shared by the tabular exports (CSV/TSV, XLSX). Values are
+// raw and typed ('string' | 'number' | 'date' | 'duration' in seconds); each
+// writer formats them.
+
+const HEALTH_ISSUE_LABELS = {
+    missingClips: 'Listed but missing',
+    unlistedFiles: 'Not in manifest',
+    zeroByteFiles: 'Zero-byte',
+    truncatedFiles: 'Truncated',
+    missingProxies: 'Missing proxy',
+    missingThumbnails: 'Missing thumbnail',
+    missingSidecars: 'Missing M01 sidecar'
+};
+
+// The one proxy rule for every lib module (src/clipFilters.js mirrors it for the renderer)
+function isProxyFile(filePath) {
+    return /S03$/i.test(path.basename(filePath, path.extname(filePath)));
+}
+
+function toDate(value) {
+    const date = value ? new Date(value) : null;
+    return date && !isNaN(date.getTime()) ? date : null;
+}
+
+// Sidecar values arrive as strings; 'number' columns need real numbers
+function toNumber(value) {
+    const number = value === null || value === undefined || value === '' ? NaN : Number(value);
+    return isNaN(number) ? null : number;
+}
+
+function buildHealthIssueMap(cardHealth) {
+    const issues = {};
+    for (const card of cardHealth || []) {
+        for (const [key, label] of Object.entries(HEALTH_ISSUE_LABELS)) {
+            for (const item of card[key]) {
+                const filePath = typeof item === 'string' ? item : item.filePath;
+                (issues[filePath] = issues[filePath] || []).push(label);
+            }
+        }
+    }
+    return issues;
+}
+
+// Lookups the column getters need, computed once per export
+function buildReportContext(results) {
+    const proxyNames = new Set();
+    for (const camera of results.cameras) {
+        for (const file of camera.files) {
+            if (isProxyFile(file.filePath)) {
+                proxyNames.add(path.join(getCardRoot(file.filePath), path.basename(file.filePath, path.extname(file.filePath)).slice(0, -3)).toUpperCase());
+            }
+        }
+    }
+    return { healthIssues: buildHealthIssueMap(results.cardHealth), proxyNames };
+}
+
+function proxyStatus(file, context) {
+    if (isProxyFile(file.filePath)) return 'Proxy';
+    const key = path.join(getCardRoot(file.filePath), path.basename(file.filePath, path.extname(file.filePath))).toUpperCase();
+    return context.proxyNames.has(key) ? 'Main + proxy' : 'Main only';
+}
+
+const CLIP_COLUMNS = [
+    { id: 'cameraId', label: 'Camera ID', type: 'string', value: (f, cam) => cam.id },
+    { id: 'cameraLabel', label: 'Camera', type: 'string', value: (f, cam) => cam.label || null },
+    { id: 'operator', label: 'Operator', type: 'string', value: (f, cam) => cam.operator || null },
+    { id: 'model', label: 'Model', type: 'string', value: (f, cam) => cam.model },
+    { id: 'fileName', label: 'File Name', type: 'string', value: f => f.fileName },
+    { id: 'filePath', label: 'Path', type: 'string', value: f => f.filePath },
+    { id: 'card', label: 'Card Folder', type: 'string', value: f => path.basename(getCardRoot(f.filePath)) },
+    { id: 'created', label: 'Recorded', type: 'date', value: f => toDate(f.created) },
+    { id: 'size', label: 'Size (bytes)', type: 'number', value: f => f.size ?? null },
+    { id: 'format', label: 'Format', type: 'string', value: f => f.format },
+    { id: 'codec', label: 'Codec', type: 'string', value: f => f.codec },
+    { id: 'bitrateMbps', label: 'Bitrate (Mbps)', type: 'number', value: f => f.manifest?.bitrateMbps ?? null },
+    { id: 'duration', label: 'Duration', type: 'duration', value: f => (typeof f.duration === 'number' ? f.duration : null) },
+    { id: 'startTimecode', label: 'Start TC', type: 'string', value: f => f.startTimecode },
+    { id: 'endTimecode', label: 'End TC', type: 'string', value: f => f.endTimecode },
+    { id: 'resolution', label: 'Resolution', type: 'string', value: f => f.resolution },
+    { id: 'frameRate', label: 'FPS', type: 'number', value: f => f.formatFps || f.frameRate || null },
+    { id: 'captureFps', label: 'Capture FPS', type: 'number', value: f => f.captureFps || null },
+    { id: 'scanType', label: 'Scan', type: 'string', value: f => f.scanType },
+    { id: 'slowMotion', label: 'S&Q', type: 'string', value: f => ((f.captureFps || f.frameRate) > 60 ? 'Yes' : 'No') },
+    { id: 'proxy', label: 'Proxy Status', type: 'string', value: (f, cam, ctx) => proxyStatus(f, ctx) },
+    { id: 'gamma', label: 'Gamma', type: 'string', value: f => f.gamma },
+    { id: 'colorSpace', label: 'Color Space', type: 'string', value: f => f.colorSpace },
+    { id: 'iso', label: 'ISO', type: 'number', value: f => toNumber(f.iso) },
+    { id: 'whiteBalance', label: 'White Balance', type: 'string', value: f => f.whiteBalance },
+    { id: 'lensModel', label: 'Lens', type: 'string', value: f => f.lensModel },
+    { id: 'umid', label: 'UMID', type: 'string', value: f => f.umid },
+    { id: 'copies', label: 'Copies', type: 'string', value: f => (f.copies || []).map(c => `${c.kind}: ${c.filePath}`).join('; ') },
+    { id: 'conflicts', label: 'Metadata Conflicts', type: 'string', value: f => (f.metadataConflicts || []).map(c => c.field).join('; ') },
+    { id: 'cardIssues', label: 'Card Issues', type: 'string', value: (f, cam, ctx) => (ctx.healthIssues[f.filePath] || []).join('; ') }
+];
+
+function cameraDates(camera) {
+    return camera.files.map(f => toDate(f.created)).filter(Boolean).sort((a, b) => a - b);
+}
+
+const CAMERA_COLUMNS = [
+    { id: 'cameraId', label: 'Camera ID', type: 'string', value: cam => cam.id },
+    { id: 'cameraLabel', label: 'Camera', type: 'string', value: cam => cam.label || null },
+    { id: 'operator', label: 'Operator', type: 'string', value: cam => cam.operator || null },
+    { id: 'model', label: 'Model', type: 'string', value: cam => cam.model },
+    { id: 'clips', label: 'Clips', type: 'number', value: cam => cam.files.length },
+    { id: 'size', label: 'Total Size (bytes)', type: 'number', value: cam => cam.totalSize },
+    { id: 'duration', label: 'Total Duration', type: 'duration', value: cam => cam.files.reduce((sum, f) => sum + (f.duration || 0), 0) },
+    { id: 'cards', label: 'Card Folders', type: 'string', value: cam => [...new Set(cam.files.map(f => path.basename(getCardRoot(f.filePath))))].sort().join('; ') },
+    { id: 'formats', label: 'Formats', type: 'string', value: cam => [...new Set(cam.files.map(f => f.format || 'UNKNOWN'))].sort().join('; ') },
+    { id: 'firstRecorded', label: 'First Recorded', type: 'date', value: cam => cameraDates(cam)[0] || null },
+    { id: 'lastRecorded', label: 'Last Recorded', type: 'date', value: cam => cameraDates(cam).pop() || null },
+    { id: 'cardIssues', label: 'Card Issues', type: 'number', value: (cam, ctx) => cam.files.filter(f => ctx.healthIssues[f.filePath]).length }
+];
+
+const DEFAULT_CLIP_COLUMNS = ['cameraId', 'cameraLabel', 'model', 'fileName', 'filePath', 'created', 'size', 'format', 'duration', 'resolution', 'frameRate', 'proxy', 'cardIssues'];
+const DEFAULT_CAMERA_COLUMNS = CAMERA_COLUMNS.map(c => c.id);
+
+// Resolve a list of column ids (in the caller's order) against a catalogue
+function selectColumns(catalogue, ids) {
+    if (!ids || ids.length === 0) return catalogue;
+    return ids.map(id => {
+        const column = catalogue.find(c => c.id === id);
+        if (!column) throw new Error(`Unknown column "${id}" (available: ${catalogue.map(c => c.id).join(', ')})`);
+        return column;
+    });
+}
+
+/**
+ * Turn the results into a header plus rows of typed values, one row per clip
+ * or one per camera. Used by every tabular exporter.
+ */
+function buildTable(results, { rowMode = 'clip', columns } = {}) {
+    const context = buildReportContext(results);
+
+    if (rowMode === 'camera') {
+        const selected = selectColumns(CAMERA_COLUMNS, columns || DEFAULT_CAMERA_COLUMNS);
+        return {
+            columns: selected,
+            rows: results.cameras.map(camera => selected.map(c => c.value(camera, context)))
+        };
+    }
+    if (rowMode !== 'clip') throw new Error(`Unknown row mode: ${rowMode}`);
+
+    const selected = selectColumns(CLIP_COLUMNS, columns || DEFAULT_CLIP_COLUMNS);
+    const rows = [];
+    for (const camera of results.cameras) {
+        for (const file of camera.files) {
+            rows.push(selected.map(c => c.value(file, camera, context)));
+        }
+    }
+    return { columns: selected, rows };
+}
+
+// Column ids and labels only, for the export dialog
+function describeColumns() {
+    const describe = list => list.map(({ id, label, type }) => ({ id, label, type }));
+    return {
+        clip: describe(CLIP_COLUMNS),
+        camera: describe(CAMERA_COLUMNS),
+        defaults: { clip: DEFAULT_CLIP_COLUMNS, camera: DEFAULT_CAMERA_COLUMNS }
+    };
+}
+
+module.exports = {
+    buildTable,
+    describeColumns,
+    buildHealthIssueMap,
+    isProxyFile,
+    HEALTH_ISSUE_LABELS
+};
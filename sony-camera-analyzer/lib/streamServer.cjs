@@ -2,9 +2,14 @@ const http = require('http');
 const ffmpeg = require('fluent-ffmpeg');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+const { spawn } = require('child_process');
+const { createHlsCache } = require('./hlsCache.cjs');
+const { getMediaToken, isValidToken, resolveMediaPath } = require('./mediaAccess.cjs');
 
 // FFmpeg initialization with error handling
 let ffmpegAvailable = false;
+let ffmpegBinary = null;
 
 try {
     const ffmpegPath = require('ffmpeg-static');
@@ -20,6 +25,7 @@ try {
     if (fs.existsSync(finalFfmpegPath)) {
         console.log(`✅ FFmpeg binary found at: ${finalFfmpegPath}`);
         ffmpeg.setFfmpegPath(finalFfmpegPath);
+        ffmpegBinary = finalFfmpegPath;
 
         // Verify FFmpeg execution asynchronously (non-blocking)
         ffmpeg.getAvailableFormats((err, formats) => {
@@ -42,74 +48,334 @@ try {
 }
 
 
-let server;
-let serverPort = 0;
+// Containers Chromium plays natively; anything else (MXF above all) is transcoded
+const PLAYABLE_CONTAINERS = ['.mp4', '.m4v', '.mov'];
+const PLAYABLE_CODECS = ['h264', 'hevc'];
+
+const CONTENT_TYPES = {
+    '.mp4': 'video/mp4',
+    '.m4v': 'video/mp4',
+    // Sony MOVs are ISO BMFF; Chromium only accepts them labelled as MP4
+    '.mov': 'video/mp4'
+};
+
+// Probe results by path, size and mtime, so a re-recorded file is probed again
+const probeCache = new Map();
+
+/**
+ * Reads the first video stream from `ffmpeg -i` stderr:
+ * "Stream #0:0: Video: h264 (High 4:2:2 Intra) (avc1 / 0x31637661), yuv422p10le(tv, bt709), 3840x2160 ..."
+ */
+function parseProbeOutput(stderr) {
+    const durationMatch = /Duration: (\d+):(\d{2}):(\d{2}(?:\.\d+)?)/.exec(stderr);
+    const videoMatch = /Stream #\d+:\d+.*?: Video: (\w+)(?: \(([^)]*)\))?.*?, (\w+)/.exec(stderr);
+    return {
+        duration: durationMatch
+            ? Number(durationMatch[1]) * 3600 + Number(durationMatch[2]) * 60 + Number(durationMatch[3])
+            : null,
+        codec: videoMatch ? videoMatch[1].toLowerCase() : null,
+        profile: videoMatch && videoMatch[2] ? videoMatch[2] : null,
+        pixelFormat: videoMatch ? videoMatch[3].toLowerCase() : null
+    };
+}
+
+// Why a file cannot go to the <video> element as-is; null when it can
+function transcodeReason(filePath, probe) {
+    const ext = path.extname(filePath).toLowerCase();
+    if (!PLAYABLE_CONTAINERS.includes(ext)) return ext === '.mxf' ? 'MXF container' : `${ext || 'Unknown'} container`;
+    if (!probe.codec) return 'No video stream found';
+    if (!PLAYABLE_CODECS.includes(probe.codec)) return `${probe.codec} video`;
+    if (/intra/i.test(probe.profile || '')) return 'Intra-frame (XAVC-I) video';
+    if (/^yuv422|^yuvj422/.test(probe.pixelFormat || '')) return '4:2:2 video';
+    if (probe.codec === 'h264' && /10|12/.test(probe.pixelFormat || '')) return '10-bit H.264 video';
+    return null;
+}
 
-function startServer() {
+function runProbe(filePath) {
     return new Promise((resolve, reject) => {
-        server = http.createServer((req, res) => {
-            const url = new URL(req.url, `http://${req.headers.host}`);
-
-            if (url.pathname === '/stream') {
-                const filePath = url.searchParams.get('file');
-                if (!filePath) {
-                    res.statusCode = 400;
-                    res.end('Missing file parameter');
-                    return;
-                }
+        if (!ffmpegBinary) {
+            reject(new Error('FFmpeg is not available'));
+            return;
+        }
+        let stderr = '';
+        // Without an output ffmpeg exits with an error after printing the stream info
+        const probe = spawn(ffmpegBinary, ['-hide_banner', '-i', filePath]);
+        probe.stderr.on('data', (chunk) => { stderr += chunk; });
+        probe.on('error', reject);
+        probe.on('close', () => resolve(parseProbeOutput(stderr)));
+    });
+}
 
-                const decodedPath = decodeURIComponent(filePath);
-                console.log(`🎥 Streaming request for: ${path.basename(decodedPath)}`);
+async function probeFile(filePath) {
+    const stats = await fs.promises.stat(filePath);
+    const key = `${filePath}:${stats.size}:${stats.mtimeMs}`;
+    if (!probeCache.has(key)) {
+        probeCache.set(key, runProbe(filePath).then(probe => {
+            const reason = transcodeReason(filePath, probe);
+            return { ...probe, size: stats.size, mode: reason ? 'transcode' : 'direct', reason };
+        }).catch(error => {
+            probeCache.delete(key);
+            throw error;
+        }));
+    }
+    return probeCache.get(key);
+}
 
-                // Check if file exists
-                if (!fs.existsSync(decodedPath)) {
-                    res.statusCode = 404;
-                    res.end('File not found');
-                    return;
-                }
+// "bytes=0-1023", "bytes=1024-", "bytes=-500"; multiple ranges are not supported
+function parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+    if (!match || (match[1] === '' && match[2] === '')) return null;
+    let start;
+    let end;
+    if (match[1] === '') {
+        start = Math.max(size - Number(match[2]), 0);
+        end = size - 1;
+    } else {
+        start = Number(match[1]);
+        end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+    }
+    if (start >= size || start > end) return { unsatisfiable: true };
+    return { start, end };
+}
+
+// The file itself, with Range support so the <video> element can seek
+function serveDirect(req, res, filePath, size) {
+    const headers = {
+        'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+        'Accept-Ranges': 'bytes'
+    };
+    const range = req.headers.range ? parseRange(req.headers.range, size) : null;
 
-                // Transcode to compatible MP4 stream
-                res.writeHead(200, {
-                    'Content-Type': 'video/mp4',
-                    'Access-Control-Allow-Origin': '*'
-                });
-
-                const command = ffmpeg(decodedPath)
-                    .format('mp4')
-                    .videoCodec('libx264')
-                    .audioCodec('aac')
-                    .outputOptions([
-                        '-movflags frag_keyframe+empty_moov', // Fragmented MP4 for streaming
-                        '-preset ultrafast', // Low CPU usage, fast start
-                        '-vf scale=-2:720', // Downscale to 720p for performance
-                        '-crf 23', // Reasonable quality
-                        '-pix_fmt yuv420p' // Ensure browser compatibility
-                    ])
-                    .on('error', (err) => {
-                        if (err.message !== 'Output stream closed') {
-                            console.error('Streaming error:', err.message);
-                        }
-                        // If headers haven't been sent, send 500
-                        if (!res.headersSent) {
-                            res.statusCode = 500;
-                            res.end('Streaming Error: ' + err.message);
-                        } else {
-                            res.end();
-                        }
-                    })
-                    .pipe(res, { end: true });
-
-                // Kill ffmpeg if client disconnects
-                req.on('close', () => {
-                    if (command && typeof command.kill === 'function') {
-                        command.kill();
-                    }
-                });
+    if (range?.unsatisfiable) {
+        res.writeHead(416, { ...headers, 'Content-Range': `bytes */${size}` });
+        res.end();
+        return;
+    }
+
+    const { start, end } = range || { start: 0, end: size - 1 };
+    res.writeHead(range ? 206 : 200, {
+        ...headers,
+        'Content-Length': size === 0 ? 0 : end - start + 1,
+        ...(range ? { 'Content-Range': `bytes ${start}-${end}/${size}` } : {})
+    });
+    if (req.method === 'HEAD' || size === 0) {
+        res.end();
+        return;
+    }
+
+    const stream = fs.createReadStream(filePath, { start, end });
+    stream.on('error', (err) => {
+        console.error('Streaming error:', err.message);
+        res.destroy();
+    });
+    req.on('close', () => stream.destroy());
+    stream.pipe(res);
+}
+
+// Transcode to 720p fragmented MP4 from `start` seconds; the player seeks by requesting a new start
+function serveTranscoded(req, res, filePath, start) {
+    if (!ffmpegAvailable) {
+        res.statusCode = 503;
+        res.end('FFmpeg is not available');
+        return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'video/mp4' });
 
+    const command = ffmpeg(filePath)
+        .seekInput(start)
+        .format('mp4')
+        .videoCodec('libx264')
+        .audioCodec('aac')
+        .outputOptions([
+            '-movflags frag_keyframe+empty_moov', // Fragmented MP4 for streaming
+            '-preset ultrafast', // Low CPU usage, fast start
+            '-vf scale=-2:720', // Downscale to 720p for performance
+            '-crf 23', // Reasonable quality
+            '-pix_fmt yuv420p' // Ensure browser compatibility
+        ])
+        .on('error', (err) => {
+            if (err.message !== 'Output stream closed') {
+                console.error('Streaming error:', err.message);
+            }
+            // If headers haven't been sent, send 500
+            if (!res.headersSent) {
+                res.statusCode = 500;
+                res.end('Streaming Error: ' + err.message);
             } else {
-                res.statusCode = 404;
-                res.end('Not found');
+                res.end();
             }
+        })
+        .pipe(res, { end: true });
+
+    // Kill ffmpeg if client disconnects
+    req.on('close', () => {
+        if (command && typeof command.kill === 'function') {
+            command.kill();
+        }
+    });
+}
+
+function sendJson(res, statusCode, data) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+const ROUTES = ['/stream', '/probe', '/hls/index.m3u8', '/hls/segment.ts'];
+
+// Set by startServer
+let hlsCache = null;
+let allowedOrigins = [];
+
+// Playlist over the whole clip and its segments, encoded on demand and cached across sessions
+async function serveHls(req, res, url, filePath, stats) {
+    if (!ffmpegAvailable) {
+        res.statusCode = 503;
+        res.end('FFmpeg is not available');
+        return;
+    }
+    const probe = await probeFile(filePath);
+    if (!probe.duration) {
+        res.statusCode = 422;
+        res.end('Unknown clip duration');
+        return;
+    }
+
+    if (url.pathname === '/hls/index.m3u8') {
+        // Segment URIs do not inherit the playlist's query, so each carries the token itself
+        const query = `file=${encodeURIComponent(filePath)}&token=${getMediaToken()}`;
+        res.writeHead(200, { 'Content-Type': 'application/vnd.apple.mpegurl' });
+        res.end(hlsCache.playlist(probe.duration, (index) => `segment.ts?${query}&index=${index}`));
+        return;
+    }
+
+    const index = Number(url.searchParams.get('index'));
+    if (!Number.isInteger(index) || index < 0 || index >= hlsCache.segmentCount(probe.duration)) {
+        res.statusCode = 400;
+        res.end('Invalid segment index');
+        return;
+    }
+
+    const segmentPath = await hlsCache.getSegment(filePath, stats, index);
+    const { size } = await fs.promises.stat(segmentPath);
+    res.writeHead(200, {
+        'Content-Type': 'video/mp2t',
+        'Content-Length': size
+    });
+    const stream = fs.createReadStream(segmentPath);
+    stream.on('error', (err) => {
+        console.error('HLS segment error:', err.message);
+        res.destroy();
+    });
+    // A player that seeks away abandons the segment; stop reading it
+    res.on('close', () => stream.destroy());
+    stream.pipe(res);
+}
+
+async function handleRequest(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    if (!ROUTES.includes(url.pathname)) {
+        res.statusCode = 404;
+        res.end('Not found');
+        return;
+    }
+
+    // Only the app's own renderer may read responses; other pages get no CORS header
+    const origin = req.headers.origin;
+    if (origin && allowedOrigins.includes(origin)) {
+        res.setHeader('Access-Control-Allow-Origin', origin);
+    }
+    res.setHeader('Vary', 'Origin');
+
+    if (!isValidToken(url.searchParams.get('token'))) {
+        console.error(`⛔ Refused ${url.pathname} request without a valid media token`);
+        res.statusCode = 403;
+        res.end('Invalid or missing media token');
+        return;
+    }
+
+    const requestedPath = url.searchParams.get('file');
+    if (!requestedPath) {
+        res.statusCode = 400;
+        res.end('Missing file parameter');
+        return;
+    }
+
+    let filePath;
+    let stats;
+    try {
+        filePath = await resolveMediaPath(requestedPath);
+        stats = await fs.promises.stat(filePath);
+    } catch (error) {
+        if (error.statusCode === 403) console.error(`⛔ ${error.message}`);
+        res.statusCode = error.statusCode || 404;
+        res.end(error.statusCode ? error.message : 'File not found');
+        return;
+    }
+
+    if (url.pathname.startsWith('/hls/')) {
+        await serveHls(req, res, url, filePath, stats);
+        return;
+    }
+
+    // How the player should treat the file: played as-is, or transcoded (over HLS, or seeked by start time)
+    if (url.pathname === '/probe') {
+        try {
+            const probe = await probeFile(filePath);
+            sendJson(res, 200, { mode: probe.mode, reason: probe.reason, duration: probe.duration, codec: probe.codec });
+        } catch (error) {
+            sendJson(res, 503, { error: error.message });
+        }
+        return;
+    }
+
+    const start = Math.max(Number(url.searchParams.get('start')) || 0, 0);
+    let probe;
+    try {
+        probe = await probeFile(filePath);
+    } catch (error) {
+        // Without ffmpeg the file can still be served; the browser decides whether it plays
+        console.error(`⚠️ Could not probe ${path.basename(filePath)}:`, error.message);
+        const reason = transcodeReason(filePath, { codec: 'h264' });
+        probe = { mode: reason ? 'transcode' : 'direct', reason };
+    }
+
+    if (probe.mode === 'direct') {
+        if (!req.headers.range) console.log(`🎥 Streaming ${path.basename(filePath)} directly`);
+        serveDirect(req, res, filePath, stats.size);
+    } else {
+        console.log(`🎥 Transcoding ${path.basename(filePath)} from ${start}s (${probe.reason})`);
+        serveTranscoded(req, res, filePath, start);
+    }
+}
+
+let server;
+let serverPort = 0;
+
+/**
+ * Starts the local stream server on a free port. HLS segments are cached in
+ * hlsCacheDir (a temp folder by default), up to hlsCacheMaxBytes. Every request
+ * needs the session's media token and a file under an analyzed folder (see
+ * mediaAccess.cjs); CORS is only granted to allowedOrigins, the renderer's.
+ */
+function startServer({ hlsCacheDir, hlsCacheMaxBytes, origins = [] } = {}) {
+    allowedOrigins = origins;
+    hlsCache = createHlsCache({
+        cacheDir: hlsCacheDir || path.join(os.tmpdir(), 'sony-camera-analyzer-hls'),
+        maxBytes: hlsCacheMaxBytes
+    });
+
+    return new Promise((resolve) => {
+        server = http.createServer((req, res) => {
+            handleRequest(req, res).catch(error => {
+                console.error('Stream server error:', error.message);
+                if (!res.headersSent) {
+                    res.statusCode = 500;
+                    res.end('Server error');
+                } else {
+                    res.end();
+                }
+            });
         });
 
         server.listen(0, '127.0.0.1', () => {
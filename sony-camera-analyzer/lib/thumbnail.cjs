@@ -3,21 +3,13 @@ const ffmpegPath = require('ffmpeg-static');
 const path = require('path');
 const fs = require('fs').promises;
 const os = require('os');
+const { createThumbnailCache } = require('./thumbnailCache.cjs');
 
 // Set ffmpeg path
 ffmpeg.setFfmpegPath(ffmpegPath.replace('app.asar', 'app.asar.unpacked'));
 
-const THUMBNAIL_DIR = path.join(os.tmpdir(), 'sony-camera-analyzer-thumbs');
-
-// Ensure thumbnail directory exists
-async function ensureThumbnailDir() {
-    try {
-        await fs.access(THUMBNAIL_DIR);
-    } catch {
-        await fs.mkdir(THUMBNAIL_DIR, { recursive: true });
-    }
-    return THUMBNAIL_DIR;
-}
+// Used when the caller brings no cache of its own (the CLI); the app keeps one in its data folder
+const defaultCache = createThumbnailCache({ cacheDir: path.join(os.tmpdir(), 'sony-camera-analyzer-thumbs') });
 
 async function findExistingThumbnail(videoPath) {
     try {
@@ -60,7 +52,6 @@ async function findExistingThumbnail(videoPath) {
                 try {
                     await fs.access(thumbPath);
                     // Found it!
-                    // console.log(`Found existing thumbnail: ${thumbPath}`);
                     return thumbPath;
                 } catch {
                     // Not found, continue
@@ -73,62 +64,69 @@ async function findExistingThumbnail(videoPath) {
     return null;
 }
 
-async function generateThumbnail(videoPath) {
-    try {
-        // 1. Try to find existing thumbnail first
-        const existingThumbPath = await findExistingThumbnail(videoPath);
-        if (existingThumbPath) {
-            const data = await fs.readFile(existingThumbPath);
-            return `data:image/jpeg;base64,${data.toString('base64')}`;
-        }
+async function readThumbnail(thumbPath) {
+    const data = await fs.readFile(thumbPath);
+    return `data:image/jpeg;base64,${data.toString('base64')}`;
+}
 
-        // 2. If not found, generate with FFmpeg
-        const thumbDir = await ensureThumbnailDir();
-        const filename = `${path.basename(videoPath, path.extname(videoPath))}_thumb.jpg`;
-        const outputPath = path.join(thumbDir, filename);
-
-        // Check if generated thumbnail already exists to save time
-        try {
-            await fs.access(outputPath);
-            const data = await fs.readFile(outputPath);
-            return `data:image/jpeg;base64,${data.toString('base64')}`;
-        } catch {
-            // Generate if doesn't exist
-        }
+// Path of the camera's own thumbnail, or of one rendered with FFmpeg into the thumbnail cache
+async function resolveThumbnailPath(videoPath, control = null, cache = defaultCache) {
+    // 1. Try to find existing thumbnail first
+    const existingThumbPath = await findExistingThumbnail(videoPath);
+    if (existingThumbPath) {
+        return existingThumbPath;
+    }
 
-        console.log(`Generating thumbnail for: ${path.basename(videoPath)}`);
-
-        return new Promise((resolve, reject) => {
-            ffmpeg(videoPath)
-                .screenshots({
-                    timestamps: [1], // Take screenshot at 1 second mark
-                    filename: filename,
-                    folder: thumbDir,
-                    size: '320x180'
-                })
-                .on('end', async () => {
-                    try {
-                        const data = await fs.readFile(outputPath);
-                        const base64 = `data:image/jpeg;base64,${data.toString('base64')}`;
-                        resolve(base64);
-                    } catch (err) {
-                        console.error("Error reading generated thumbnail:", err);
-                        resolve(null);
-                    }
-                })
-                .on('error', (err) => {
-                    console.error(`Error generating thumbnail for ${videoPath}:`, err.message);
-                    // Fallback: Try at 0 seconds if 1 second failed
-                    if (err.message.includes('seek')) {
-                        // Retry logic could go here, but for now just log
-                    }
-                    resolve(null);
-                });
-        });
-    } catch (error) {
-        console.error("Thumbnail generation failed:", error);
-        return null;
+    // 2. Reuse one rendered earlier for this exact version of the clip
+    const stats = await fs.stat(videoPath);
+    const cachedPath = await cache.lookup(videoPath, stats);
+    if (cachedPath) {
+        return cachedPath;
     }
+
+    // 3. If not found, generate with FFmpeg
+    const outputPath = cache.pathFor(videoPath, stats);
+    // Rendered under a temporary name so a killed ffmpeg never leaves a partial frame in the cache
+    const tempName = `${path.basename(outputPath, '.jpg')}.part.jpg`;
+    const tempPath = path.join(cache.cacheDir, tempName);
+    await fs.mkdir(cache.cacheDir, { recursive: true });
+
+    console.log(`Generating thumbnail for: ${path.basename(videoPath)}`);
+
+    const command = ffmpeg(videoPath);
+    const run = () => new Promise((resolve) => {
+        command
+            .screenshots({
+                timestamps: [1], // Take screenshot at 1 second mark
+                filename: tempName,
+                folder: cache.cacheDir,
+                size: '320x180'
+            })
+            .on('end', async () => {
+                try {
+                    await fs.rename(tempPath, outputPath);
+                    await cache.add(outputPath);
+                    resolve(outputPath);
+                } catch (err) {
+                    console.error(`Error caching thumbnail for ${videoPath}:`, err.message);
+                    resolve(null);
+                }
+            })
+            .on('error', async (err) => {
+                console.error(`Error generating thumbnail for ${videoPath}:`, err.message);
+                // Don't leave a half-written frame behind for the next run to pick up
+                await fs.rm(tempPath, { force: true }).catch(() => {});
+                resolve(null);
+            });
+    });
+
+    // A cancelled analysis kills the ffmpeg process; the promise then resolves to null
+    return control ? control.track(() => command.kill('SIGKILL'), run) : run();
+}
+
+// Keeps a thumbnail reused from the analysis index from being evicted as least recently used
+async function touchThumbnail(thumbPath, cache = defaultCache) {
+    await cache.touch(thumbPath);
 }
 
-module.exports = { generateThumbnail };
+module.exports = { resolveThumbnailPath, readThumbnail, touchThumbnail, findExistingThumbnail };
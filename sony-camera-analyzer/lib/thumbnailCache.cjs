@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_MAX_BYTES = 500 * 1024 * 1024;
+
+const hash = (value) => crypto.createHash('sha1').update(value).digest('hex').slice(0, 16);
+
+// "<source>_<version>.jpg": the source part comes from the full path, so same-named
+// clips on different cards never share a thumbnail; the version part changes with
+// the file's size and mtime, so a re-recorded clip gets a new one
+function thumbnailName(videoPath, stats) {
+    return `${hash(path.resolve(videoPath))}_${hash(`${stats.size}:${stats.mtimeMs}`)}.jpg`;
+}
+
+/**
+ * On-disk cache of thumbnails rendered with FFmpeg, shared across sessions.
+ * The file mtime doubles as last-used time: once the cache grows past
+ * maxBytes, the least recently used thumbnails are deleted first.
+ */
+function createThumbnailCache({ cacheDir, maxBytes = DEFAULT_MAX_BYTES }) {
+    const entries = new Map(); // file name -> { size, lastUsed }
+    let loaded = null;
+
+    // Reads what earlier sessions left in the cache folder, once
+    async function scanCache() {
+        let names = [];
+        try {
+            await fs.mkdir(cacheDir, { recursive: true });
+            names = await fs.readdir(cacheDir);
+        } catch (error) {
+            console.error(`Error reading thumbnail cache ${cacheDir}:`, error.message);
+        }
+        for (const name of names) {
+            const filePath = path.join(cacheDir, name);
+            if (name.endsWith('.part.jpg')) {
+                // Leftover from an interrupted render
+                await fs.unlink(filePath).catch(() => {});
+                continue;
+            }
+            if (!name.endsWith('.jpg')) continue;
+            const stats = await fs.stat(filePath).catch(() => null);
+            if (stats) entries.set(name, { size: stats.size, lastUsed: stats.mtimeMs });
+        }
+        console.log(`🖼️  Thumbnail cache: ${entries.size} thumbnail(s) in ${cacheDir}`);
+    }
+
+    const ready = () => loaded || (loaded = scanCache());
+
+    const totalBytes = () => [...entries.values()].reduce((sum, entry) => sum + entry.size, 0);
+
+    async function remove(name) {
+        await fs.unlink(path.join(cacheDir, name)).catch(() => {});
+        entries.delete(name);
+    }
+
+    async function evict() {
+        let total = totalBytes();
+        if (total <= maxBytes) return;
+        const oldestFirst = [...entries.entries()].sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+        let removed = 0;
+        for (const [name, entry] of oldestFirst) {
+            if (total <= maxBytes) break;
+            await remove(name);
+            total -= entry.size;
+            removed++;
+        }
+        console.log(`🖼️  Thumbnail cache over ${Math.round(maxBytes / (1024 * 1024))} MB: evicted ${removed} thumbnail(s)`);
+    }
+
+    async function touch(thumbPath) {
+        await ready();
+        const name = path.basename(thumbPath);
+        if (path.dirname(thumbPath) !== cacheDir || !entries.has(name)) return false;
+        const now = new Date();
+        try {
+            await fs.utimes(thumbPath, now, now);
+            entries.get(name).lastUsed = now.getTime();
+            return true;
+        } catch {
+            // Deleted behind our back; render it again
+            entries.delete(name);
+            return false;
+        }
+    }
+
+    return {
+        cacheDir,
+
+        // Where the thumbnail for this version of the clip is (or will be) stored
+        pathFor(videoPath, stats) {
+            return path.join(cacheDir, thumbnailName(videoPath, stats));
+        },
+
+        // The cached thumbnail, or null. Thumbnails of older versions of the clip are dropped.
+        async lookup(videoPath, stats) {
+            await ready();
+            const name = thumbnailName(videoPath, stats);
+            const sourcePrefix = `${name.split('_')[0]}_`;
+            for (const stale of [...entries.keys()].filter(key => key.startsWith(sourcePrefix) && key !== name)) {
+                await remove(stale);
+            }
+            const cachedPath = path.join(cacheDir, name);
+            return (await touch(cachedPath)) ? cachedPath : null;
+        },
+
+        // Marks a cached thumbnail as just used; false when it is not (or no longer) in the cache
+        touch,
+
+        // Records a freshly rendered thumbnail and trims the cache to its limit
+        async add(thumbPath) {
+            await ready();
+            const { size } = await fs.stat(thumbPath);
+            entries.set(path.basename(thumbPath), { size, lastUsed: Date.now() });
+            await evict();
+        },
+
+        async usage() {
+            await ready();
+            return { files: entries.size, bytes: totalBytes(), maxBytes };
+        },
+
+        async setMaxBytes(bytes) {
+            maxBytes = bytes;
+            await ready();
+            await evict();
+        },
+
+        async clear() {
+            await ready();
+            const cleared = { files: entries.size, bytes: totalBytes() };
+            for (const name of [...entries.keys()]) await remove(name);
+            console.log(`🧹 Thumbnail cache cleared: ${cleared.files} thumbnail(s), ${Math.round(cleared.bytes / 1024)} KB`);
+            return cleared;
+        }
+    };
+}
+
+module.exports = { createThumbnailCache, DEFAULT_MAX_BYTES };
@@ -0,0 +1,137 @@
+// SMPTE timecode arithmetic shared by the NLE exports.
+//
+// Rates are described the way NLE formats describe them: an integer timebase
+// plus an NTSC flag for the x1000/1001 rates (23.976, 29.97, 59.94, 119.88).
+
+const TIMECODE_PATTERN = /^(\d{1,2})[:;.](\d{2})[:;.](\d{2})([:;.,])(\d{2,3})$/;
+
+function frameRateInfo(fps) {
+    if (!(fps > 0)) return null;
+    const base = Math.round(fps);
+    const ntsc = Math.abs(fps - base) > 0.001 && Math.abs(fps - (base * 1000) / 1001) < 0.01;
+    return { base, ntsc, fps: ntsc ? (base * 1000) / 1001 : base };
+}
+
+// Drop frame skips 2 labels per minute at 30, 4 at 60, except every tenth minute
+function dropFramesPerMinute(base) {
+    return Math.round(base / 15);
+}
+
+function isDropFrame(timecode) {
+    const match = TIMECODE_PATTERN.exec(timecode || '');
+    return !!match && (match[4] === ';' || match[4] === ',');
+}
+
+// "01:02:03:04" (or "01:02:03;04" for drop frame) -> frames since 00:00:00:00
+function parseTimecode(timecode, base) {
+    const match = TIMECODE_PATTERN.exec(timecode || '');
+    if (!match || !base) return null;
+    const [hours, minutes, seconds, frames] = [match[1], match[2], match[3], match[5]].map(Number);
+    if (minutes > 59 || seconds > 59 || frames >= base) return null;
+
+    let count = (((hours * 60) + minutes) * 60 + seconds) * base + frames;
+    if (isDropFrame(timecode) && base % 30 === 0) {
+        const totalMinutes = (hours * 60) + minutes;
+        count -= dropFramesPerMinute(base) * (totalMinutes - Math.floor(totalMinutes / 10));
+    }
+    return count;
+}
+
+// Inverse of parseTimecode; wraps at 24 hours
+function formatTimecode(frames, base, dropFrame = false) {
+    const drop = dropFrame && base % 30 === 0 ? dropFramesPerMinute(base) : 0;
+    const framesPerDay = drop ? (base * 600 - drop * 9) * 144 : base * 86400;
+    let count = ((Math.round(frames) % framesPerDay) + framesPerDay) % framesPerDay;
+
+    if (drop) {
+        const framesPerTenMinutes = base * 600 - drop * 9;
+        const framesPerMinute = base * 60 - drop;
+        const tens = Math.floor(count / framesPerTenMinutes);
+        const remainder = count % framesPerTenMinutes;
+        count += drop * 9 * tens + (remainder > drop ? drop * Math.floor((remainder - drop) / framesPerMinute) : 0);
+    }
+
+    const pad = (n) => String(n).padStart(2, '0');
+    const totalSeconds = Math.floor(count / base);
+    return `${pad(Math.floor(totalSeconds / 3600))}:${pad(Math.floor(totalSeconds / 60) % 60)}:${pad(totalSeconds % 60)}` +
+        `${drop ? ';' : ':'}${pad(count % base)}`;
+}
+
+// Playback frame rate of a clip; interlaced rates ("50i") count fields
+function clipFrameRate(file) {
+    if (file.formatFps) return file.scanType === 'i' ? file.formatFps / 2 : file.formatFps;
+    if (file.frameRate && file.filledFromManifest?.includes('frameRate') && file.manifest?.scanType === 'i') {
+        return file.frameRate / 2;
+    }
+    return file.frameRate || null;
+}
+
+/**
+ * Start and length of a clip in frames of its own rate. The start comes from
+ * the LTC in the M01 sidecar, which may run at a different base than the
+ * video (30 fps timecode on 59.94p). Returns null when the rate is unknown.
+ */
+function clipTiming(file) {
+    const rate = frameRateInfo(clipFrameRate(file));
+    if (!rate) return null;
+
+    const timecodeBase = file.timecodeFps ? Math.round(file.timecodeFps) : rate.base;
+    const timecodeFrames = parseTimecode(file.startTimecode, timecodeBase);
+    const startFrames = timecodeFrames !== null ? Math.round((timecodeFrames * rate.base) / timecodeBase) : 0;
+
+    let durationFrames = file.durationFrames ?? file.manifest?.durationFrames ?? null;
+    if (durationFrames === null && typeof file.duration === 'number') {
+        durationFrames = Math.round(file.duration * rate.fps);
+    }
+
+    return {
+        rate,
+        dropFrame: isDropFrame(file.startTimecode),
+        hasTimecode: timecodeFrames !== null,
+        startFrames,
+        durationFrames: durationFrames || 0
+    };
+}
+
+// Time zone of an ISO date string in minutes east of UTC; null when it has none
+function zoneOf(value) {
+    if (!value) return null;
+    if (/Z$/i.test(value)) return 0;
+    const match = /([+-])(\d{2}):?(\d{2})$/.exec(value);
+    if (!match) return null;
+    return (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3]));
+}
+
+// "+06:30", "-05:00"
+function formatZone(minutes) {
+    const sign = minutes < 0 ? '-' : '+';
+    const abs = Math.abs(minutes);
+    return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+}
+
+// An ISO date string moved by `seconds`, written in the same zone as the original
+// (zoneless local times stay zoneless); null when it is not a date
+function shiftDate(value, seconds) {
+    const time = value ? new Date(value).getTime() : NaN;
+    if (isNaN(time)) return null;
+    const shifted = time + seconds * 1000;
+    const zone = zoneOf(value);
+    if (zone === null) {
+        const localOffset = new Date(shifted).getTimezoneOffset();
+        return new Date(shifted - localOffset * 60000).toISOString().slice(0, -1);
+    }
+    const wallClock = new Date(shifted + zone * 60000).toISOString().slice(0, -1);
+    return /Z$/i.test(value) ? `${wallClock}Z` : `${wallClock}${formatZone(zone)}`;
+}
+
+module.exports = {
+    frameRateInfo,
+    isDropFrame,
+    parseTimecode,
+    formatTimecode,
+    clipFrameRate,
+    clipTiming,
+    zoneOf,
+    formatZone,
+    shiftDate
+};
@@ -1,9 +1,34 @@
-const { exiftool } = require('exiftool-vendored');
+const { ExifTool } = require('exiftool-vendored');
 const fs = require('fs').promises;
 
-async function extractMetadata(filePath) {
+let exiftool = null;
+let exiftoolProcs = null;
+
+// One shared ExifTool; changing maxProcs replaces it (pending reads finish on the old one).
+// An instance rebuilt after a kill keeps the configured maxProcs.
+function getExifTool(maxProcs) {
+    if (exiftool && (!maxProcs || maxProcs === exiftoolProcs)) {
+        return exiftool;
+    }
+    if (exiftool) {
+        exiftool.end().catch(() => {});
+    }
+    exiftoolProcs = maxProcs || exiftoolProcs;
+    exiftool = new ExifTool(exiftoolProcs ? { maxProcs: exiftoolProcs } : {});
+    return exiftool;
+}
+
+function configureExifTool({ maxProcs }) {
+    getExifTool(maxProcs);
+}
+
+async function extractMetadata(filePath, control = null) {
     try {
-        const metadata = await exiftool.read(filePath);
+        // A cancelled analysis kills the exiftool processes; the read then rejects
+        const read = () => getExifTool().read(filePath);
+        // One kill function per read: finishing one read must not unregister the others
+        const kill = () => killExifTool();
+        const metadata = control ? await control.track(kill, read) : await read();
         const stats = await fs.stat(filePath);
 
         return {
@@ -12,7 +37,10 @@ async function extractMetadata(filePath) {
             serialNumber: metadata.SerialNumber || metadata.InternalSerialNumber,
             model: metadata.Model || metadata.CameraModelName,
             created: metadata.CreateDate ? metadata.CreateDate.toString() : stats.birthtime.toISOString(),
+            // False when created fell back to the file system date
+            createDateKnown: Boolean(metadata.CreateDate),
             size: stats.size,
+            modified: stats.mtime.toISOString(),
             duration: metadata.Duration,
             format: metadata.FileType || require('path').extname(filePath).slice(1).toUpperCase(),
             width: metadata.ImageWidth,
@@ -30,8 +58,19 @@ async function extractMetadata(filePath) {
     }
 }
 
+// Stop immediately, abandoning pending reads; the next read starts a fresh instance
+function killExifTool() {
+    if (exiftool) {
+        exiftool.end(false).catch(() => {});
+        exiftool = null;
+    }
+}
+
 function closeExifTool() {
-    exiftool.end();
+    if (exiftool) {
+        exiftool.end();
+        exiftool = null;
+    }
 }
 
-module.exports = { extractMetadata, closeExifTool };
+module.exports = { extractMetadata, configureExifTool, closeExifTool };
@@ -0,0 +1,59 @@
+const fs = require('fs').promises;
+const os = require('os');
+
+// Two readers per card/drive keeps USB readers busy without making them seek-bound
+const DEFAULT_PER_DEVICE = 2;
+
+function defaultConcurrency() {
+    const cores = os.cpus().length || 1;
+    return {
+        metadata: cores,
+        thumbnails: Math.max(1, Math.floor(cores / 2)),
+        perDevice: DEFAULT_PER_DEVICE
+    };
+}
+
+// Runs at most `concurrency` tasks at once; the rest wait in FIFO order
+function createLimiter(concurrency) {
+    const limit = Math.max(1, Math.floor(concurrency) || 1);
+    const queue = [];
+    let active = 0;
+
+    const next = () => {
+        if (active >= limit || queue.length === 0) return;
+        active++;
+        const { task, resolve, reject } = queue.shift();
+        Promise.resolve()
+            .then(task)
+            .then(resolve, reject)
+            .finally(() => {
+                active--;
+                next();
+            });
+    };
+
+    return (task) => new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        next();
+    });
+}
+
+// One limiter per key, created on first use
+function createKeyedLimiter(concurrency) {
+    const limiters = new Map();
+    return (key, task) => {
+        if (!limiters.has(key)) limiters.set(key, createLimiter(concurrency));
+        return limiters.get(key)(task);
+    };
+}
+
+// Files on the same volume share a device id; unreadable files get their own bucket
+async function getDeviceId(filePath) {
+    try {
+        return String((await fs.stat(filePath)).dev);
+    } catch {
+        return `unknown:${filePath}`;
+    }
+}
+
+module.exports = { createLimiter, createKeyedLimiter, getDeviceId, defaultConcurrency };
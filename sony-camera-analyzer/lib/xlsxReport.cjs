@@ -0,0 +1,76 @@
+const { buildTable } = require('./reportFields.cjs');
+const { writeXlsx } = require('./xlsxWriter.cjs');
+
+// Camera sheets repeat neither camera ID nor model; the sheet name carries them
+const CAMERA_SHEET_COLUMNS = [
+    'fileName', 'created', 'duration', 'startTimecode', 'endTimecode', 'size', 'format', 'codec', 'bitrateMbps',
+    'resolution', 'frameRate', 'captureFps', 'slowMotion', 'proxy', 'gamma', 'colorSpace', 'iso', 'whiteBalance',
+    'lensModel', 'card', 'filePath', 'copies', 'conflicts', 'cardIssues'
+];
+
+function summarySheet(results) {
+    const table = buildTable(results, { rowMode: 'camera' });
+    const { stats } = results;
+    const totalDuration = results.cameras.reduce((sum, camera) =>
+        sum + camera.files.reduce((s, f) => s + (f.duration || 0), 0), 0);
+
+    return {
+        name: 'Summary',
+        ...table,
+        footer: [
+            [{ value: 'Total clips', bold: true }, { value: stats.totalFiles, type: 'number' }],
+            [{ value: 'Total size (bytes)', bold: true }, { value: stats.totalSize, type: 'number' }],
+            [{ value: 'Total duration', bold: true }, { value: totalDuration, type: 'duration' }],
+            [{ value: 'Backup / duplicate copies', bold: true }, { value: (stats.backupFiles || 0) + (stats.duplicateFiles || 0), type: 'number' }],
+            [{ value: 'Mixed folders', bold: true }, { value: results.mixedFolders.length, type: 'number' }],
+            [{ value: 'Unknown files', bold: true }, { value: results.unknownFiles.length, type: 'number' }],
+            [{ value: 'Metadata conflicts', bold: true }, { value: stats.metadataConflicts, type: 'number' }],
+            ...(results.cancelled ? [[{ value: 'Partial results: analysis was cancelled', bold: true }]] : [])
+        ]
+    };
+}
+
+function cameraSheet(results, camera) {
+    const table = buildTable({ ...results, cameras: [camera] }, { rowMode: 'clip', columns: CAMERA_SHEET_COLUMNS });
+    return { name: camera.label ? `${camera.label} ${camera.id}` : `${camera.model} ${camera.id}`, ...table };
+}
+
+function mixedFoldersSheet(mixedFolders) {
+    return {
+        name: 'Mixed Folders',
+        columns: [
+            { label: 'Folder', type: 'string' },
+            { label: 'Cameras', type: 'number' },
+            { label: 'Serials', type: 'string' }
+        ],
+        rows: mixedFolders.map(m => [m.folder, m.cameraCount, m.cameras.join('; ')])
+    };
+}
+
+function unknownFilesSheet(unknownFiles) {
+    return {
+        name: 'Unknown Files',
+        columns: [
+            { label: 'File Name', type: 'string' },
+            { label: 'Path', type: 'string' },
+            { label: 'Size (bytes)', type: 'number' },
+            { label: 'Reason', type: 'string' }
+        ],
+        rows: unknownFiles.map(f => [f.fileName, f.filePath, f.size ?? null, f.error || 'No serial number'])
+    };
+}
+
+/**
+ * Workbook with a Summary sheet, one sheet per camera, then Mixed Folders and
+ * Unknown Files. Returns the .xlsx file as a Buffer.
+ */
+function renderXlsxReport(results) {
+    return writeXlsx([
+        summarySheet(results),
+        ...results.cameras.map(camera => cameraSheet(results, camera)),
+        mixedFoldersSheet(results.mixedFolders),
+        unknownFilesSheet(results.unknownFiles)
+    ]);
+}
+
+module.exports = { renderXlsxReport };
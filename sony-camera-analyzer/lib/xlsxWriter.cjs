@@ -0,0 +1,277 @@
+const zlib = require('zlib');
+
+// Minimal OOXML (SpreadsheetML) writer: typed cells, a bold frozen header row,
+// autofilter and column widths. Packaged with a small ZIP writer so nothing
+// beyond Node's zlib is needed.
+
+const EXCEL_EPOCH_OFFSET_DAYS = 25569; // 1970-01-01 as an Excel serial date
+const MS_PER_DAY = 86400000;
+const MAX_SHEET_NAME = 31;
+const MAX_COLUMN_WIDTH = 60;
+
+// cellXfs indices in styles.xml
+const STYLE = { default: 0, header: 1, date: 2, duration: 3, integer: 4, decimal: 5, total: 6 };
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < buffer.length; i++) crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+// Deflated ZIP archive from [{ name, data }]
+function createZip(files) {
+    const { time, date } = dosDateTime(new Date());
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = Buffer.from(file.name, 'utf-8');
+        const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data, 'utf-8');
+        const compressed = zlib.deflateRawSync(data);
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034B50, 0);
+        local.writeUInt16LE(20, 4);           // version needed
+        local.writeUInt16LE(0x0800, 6);       // UTF-8 names
+        local.writeUInt16LE(8, 8);            // deflate
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);
+        localParts.push(local, name, compressed);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014B50, 0);
+        central.writeUInt16LE(20, 4);         // version made by
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(date, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centralParts.push(central, name);
+
+        offset += local.length + name.length + compressed.length;
+    }
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054B50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+function escapeXml(value) {
+    return String(value)
+        // Characters XML 1.0 cannot carry at all
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function columnLetter(index) {
+    let letters = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+    }
+    return letters;
+}
+
+// Excel dates carry no zone; write the local wall-clock time
+function toExcelDate(date) {
+    const localMs = date.getTime() - date.getTimezoneOffset() * 60000;
+    return localMs / MS_PER_DAY + EXCEL_EPOCH_OFFSET_DAYS;
+}
+
+function numberStyle(value) {
+    return Number.isInteger(value) ? STYLE.integer : STYLE.decimal;
+}
+
+// One <c> element; `type` comes from the column ('string' | 'number' | 'date' | 'duration')
+function renderCell(ref, value, type, style) {
+    if (value === null || value === undefined || value === '') {
+        return style ? `<c r="${ref}" s="${style}"/>` : '';
+    }
+    if (type === 'date' && value instanceof Date && !isNaN(value.getTime())) {
+        return `<c r="${ref}" s="${style || STYLE.date}"><v>${toExcelDate(value)}</v></c>`;
+    }
+    if (type === 'duration' && typeof value === 'number') {
+        return `<c r="${ref}" s="${style || STYLE.duration}"><v>${value / 86400}</v></c>`;
+    }
+    if (type === 'number' && typeof value === 'number' && isFinite(value)) {
+        return `<c r="${ref}" s="${style || numberStyle(value)}"><v>${value}</v></c>`;
+    }
+    return `<c r="${ref}" t="inlineStr"${style ? ` s="${style}"` : ''}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+function columnWidths(sheet) {
+    return sheet.columns.map((column, i) => {
+        let width = column.label.length;
+        for (const row of sheet.rows) {
+            const value = row[i];
+            if (value === null || value === undefined) continue;
+            const length = column.type === 'date' ? 16 : column.type === 'duration' ? 10 : String(value).length;
+            width = Math.max(width, length);
+        }
+        for (const row of sheet.footer || []) {
+            const value = row[i]?.value ?? row[i];
+            if (typeof value === 'string') width = Math.max(width, value.length);
+        }
+        return Math.min(MAX_COLUMN_WIDTH, width + 2);
+    });
+}
+
+function renderSheet(sheet) {
+    const lastColumn = columnLetter(Math.max(0, sheet.columns.length - 1));
+    const lastDataRow = sheet.rows.length + 1;
+
+    const header = `<row r="1">${sheet.columns.map((c, i) =>
+        renderCell(`${columnLetter(i)}1`, c.label, 'string', STYLE.header)).join('')}</row>`;
+    const rows = sheet.rows.map((row, r) =>
+        `<row r="${r + 2}">${row.map((value, i) =>
+            renderCell(`${columnLetter(i)}${r + 2}`, value, sheet.columns[i].type)).join('')}</row>`);
+    // Footer rows (totals, notes) sit below the filtered range
+    const footer = (sheet.footer || []).map((row, r) => {
+        const rowNumber = lastDataRow + 2 + r;
+        return `<row r="${rowNumber}">${row.map((cell, i) =>
+            renderCell(`${columnLetter(i)}${rowNumber}`, cell?.value ?? cell, cell?.type || 'string', cell?.bold ? STYLE.total : 0)).join('')}</row>`;
+    });
+    const cols = columnWidths(sheet).map((width, i) =>
+        `<col min="${i + 1}" max="${i + 1}" width="${width}" customWidth="1"/>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<dimension ref="A1:${lastColumn}${footer.length > 0 ? lastDataRow + 1 + footer.length : lastDataRow}"/>
+<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/><selection pane="bottomLeft" activeCell="A2" sqref="A2"/></sheetView></sheetViews>
+<sheetFormatPr defaultRowHeight="15"/>
+${cols ? `<cols>${cols}</cols>` : ''}
+<sheetData>${header}${rows.join('')}${footer.join('')}</sheetData>
+<autoFilter ref="A1:${lastColumn}${lastDataRow}"/>
+</worksheet>`;
+}
+
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<numFmts count="2"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm:ss"/><numFmt numFmtId="165" formatCode="[h]:mm:ss"/></numFmts>
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill><fill><patternFill patternType="solid"><fgColor rgb="FFE5E7EB"/><bgColor indexed="64"/></patternFill></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="7">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+<xf numFmtId="0" fontId="1" fillId="2" borderId="0" xfId="0" applyFont="1" applyFill="1"/>
+<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="3" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>
+</cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`;
+
+// Excel rejects duplicate names, names over 31 characters and []:*?/\
+function uniqueSheetNames(names) {
+    const used = new Set();
+    return names.map(name => {
+        const base = (name.replace(/[[\]:*?/\\]/g, '_').replace(/^'+|'+$/g, '').trim() || 'Sheet').slice(0, MAX_SHEET_NAME);
+        let candidate = base;
+        for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+            const suffix = ` (${n})`;
+            candidate = base.slice(0, MAX_SHEET_NAME - suffix.length) + suffix;
+        }
+        used.add(candidate.toLowerCase());
+        return candidate;
+    });
+}
+
+/**
+ * Build an .xlsx file from sheets of { name, columns: [{ label, type }], rows, footer }.
+ * Returns a Buffer.
+ */
+function writeXlsx(sheets) {
+    if (sheets.length === 0) throw new Error('A workbook needs at least one sheet');
+    const names = uniqueSheetNames(sheets.map(s => s.name));
+
+    const sheetEntries = sheets.map((sheet, i) => `<sheet name="${escapeXml(names[i])}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('');
+    const filterNames = sheets.map((sheet, i) => {
+        const lastColumn = columnLetter(Math.max(0, sheet.columns.length - 1));
+        const quoted = names[i].replace(/'/g, "''");
+        return `<definedName name="_xlnm._FilterDatabase" localSheetId="${i}" hidden="1">'${escapeXml(quoted)}'!$A$1:$${lastColumn}$${sheet.rows.length + 1}</definedName>`;
+    }).join('');
+
+    const files = [
+        {
+            name: '[Content_Types].xml',
+            data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+${sheets.map((s, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('\n')}
+</Types>`
+        },
+        {
+            name: '_rels/.rels',
+            data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`
+        },
+        {
+            name: 'xl/workbook.xml',
+            data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<bookViews><workbookView/></bookViews>
+<sheets>${sheetEntries}</sheets>
+<definedNames>${filterNames}</definedNames>
+</workbook>`
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+${sheets.map((s, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('\n')}
+<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`
+        },
+        { name: 'xl/styles.xml', data: STYLES_XML },
+        ...sheets.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: renderSheet(sheet) }))
+    ];
+
+    return createZip(files);
+}
+
+module.exports = { writeXlsx };
@@ -2,6 +2,87 @@ const { XMLParser } = require('fast-xml-parser');
 const fs = require('fs').promises;
 const path = require('path');
 
+const VIDEO_URI_PATTERN = /\.(mp4|mxf|mov)$/i;
+
+// Convert a MEDIAPRO-style relative URI ("./CLIP/C0001.MP4") to an absolute path
+function resolveRelativeUri(baseDir, uri) {
+    const cleanUri = uri.replace(/^\.\//, '').replace(/^\.\\/, '');
+    return path.join(baseDir, cleanUri);
+}
+
+function toArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+// LTC values in NonRealTimeMeta are BCD packed as FFSSMMHH, with flag bits
+// (drop frame, colour frame, field mark) in the high bits of each byte.
+function decodeLtc(value) {
+    if (!value) return null;
+    const hex = String(value).padStart(8, '0');
+    if (!/^[0-9a-fA-F]{8}$/.test(hex)) return null;
+
+    const bytes = [0, 2, 4, 6].map(i => parseInt(hex.slice(i, i + 2), 16));
+    const bcd = (byte) => ((byte >> 4) * 10) + (byte & 0x0F);
+    const frames = bcd(bytes[0] & 0x3F);
+    const seconds = bcd(bytes[1] & 0x7F);
+    const minutes = bcd(bytes[2] & 0x7F);
+    const hours = bcd(bytes[3] & 0x3F);
+    const dropFrame = (bytes[0] & 0x40) !== 0;
+
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${dropFrame ? ';' : ':'}${pad(frames)}`;
+}
+
+// "25p", "59.94i", "100p" -> { rate: 25, scan: 'p' }
+function parseFpsString(value) {
+    if (!value) return null;
+    const match = String(value).match(/^([\d.]+)([pi])?$/i);
+    if (!match) return null;
+    return { rate: parseFloat(match[1]), scan: (match[2] || 'p').toLowerCase() };
+}
+
+// "AVC140_3840_2160_H422P@L51" / "AVC_Proxy_1280_720_MP@L4" / "HEVC_3840_2160_M422P@L51"
+function parseVideoType(value) {
+    if (!value) return null;
+    const parts = String(value).split('_');
+    const codecMatch = parts[0].match(/^([A-Za-z]+)(\d+)?$/);
+    const dims = parts.filter(p => /^\d+$/.test(p)).map(Number);
+    const profile = parts.find(p => p.includes('@')) || null;
+
+    return {
+        codec: codecMatch ? codecMatch[1].toUpperCase() : parts[0],
+        bitrateMbps: codecMatch && codecMatch[2] ? Number(codecMatch[2]) : null,
+        isProxy: parts.some(p => p.toLowerCase() === 'proxy'),
+        width: dims.length >= 2 ? dims[0] : null,
+        height: dims.length >= 2 ? dims[1] : null,
+        profile
+    };
+}
+
+const GAMMA_LABELS = {
+    's-log3-cine': 'S-Log3',
+    's-log3': 'S-Log3',
+    's-log2': 'S-Log2',
+    'rec2100-hlg': 'HLG',
+    'hlg': 'HLG',
+    'rec709': 'Rec.709',
+    's-cinetone': 'S-Cinetone'
+};
+
+const COLOR_SPACE_LABELS = {
+    's-gamut3cine': 'S-Gamut3.Cine',
+    's-gamut3': 'S-Gamut3',
+    's-gamut': 'S-Gamut',
+    'rec2020': 'Rec.2020',
+    'rec709': 'Rec.709'
+};
+
+function labelFor(table, value) {
+    if (!value) return null;
+    return table[String(value).toLowerCase()] || String(value);
+}
+
 class SonyXMLParser {
     constructor() {
         this.parser = new XMLParser({
@@ -49,12 +130,19 @@ class SonyXMLParser {
         let serial = null;
         let model = null;
         let videoFiles = [];
+        let clips = [];
+        let mediaId = null;
+        let createdAt = null;
 
         // Sony MediaProfile (MEDIAPRO.XML) - Main format for Sony cameras
         if (xmlData.MediaProfile?.Properties?.System) {
             const system = xmlData.MediaProfile.Properties.System;
             serial = system['@_systemId'] || system.systemId;
             model = system['@_systemKind'] || system.systemKind;
+            // Identifies the physical card; two folders with the same mediaId are the same card
+            mediaId = xmlData.MediaProfile.Properties.Attached?.['@_mediaId'] || null;
+            // Card creation time in the camera's clock, with its time zone ("+06:30")
+            createdAt = xmlData.MediaProfile['@_createdAt'] || null;
 
             // Extract video file paths from Material elements
             if (xmlData.MediaProfile.Contents?.Material) {
@@ -69,7 +157,7 @@ class SonyXMLParser {
 
                         // Main Material URI
                         const uri = m['@_uri'] || m.uri;
-                        if (uri && (uri.endsWith('.MP4') || uri.endsWith('.MXF') || uri.endsWith('.MOV') || uri.endsWith('.mp4') || uri.endsWith('.mxf') || uri.endsWith('.mov'))) {
+                        if (uri && VIDEO_URI_PATTERN.test(uri)) {
                             files.push(uri);
                         }
 
@@ -83,11 +171,12 @@ class SonyXMLParser {
 
                         return files;
                     })
-                    .map(uri => {
-                        // Convert relative path to absolute
-                        const cleanUri = uri.replace(/^\.\//, '').replace(/^\.\\/, '');
-                        return path.join(xmlDir, cleanUri);
-                    });
+                    .map(uri => resolveRelativeUri(xmlDir, uri));
+
+                clips = materials
+                    .map(m => this.extractMaterial(m, xmlDir))
+                    .filter(c => c !== null)
+                    .map(c => ({ ...c, mediaId }));
             }
 
             console.log(`✓ Found MediaProfile: Serial=${serial}, Model=${model}, Videos=${videoFiles.length}`);
@@ -103,8 +192,7 @@ class SonyXMLParser {
                 .map(c => {
                     const uri = c['@_uri'] || c.uri;
                     if (uri) {
-                        const cleanUri = uri.replace(/^\.\//, '').replace(/^\.\\/, '');
-                        return path.join(xmlDir, cleanUri);
+                        return resolveRelativeUri(xmlDir, uri);
                     }
                     return null;
                 })
@@ -146,13 +234,185 @@ class SonyXMLParser {
             return {
                 serialNumber: String(serial),
                 model: model || 'Unknown Model',
+                mediaId,
+                createdAt,
                 sourceFile: filePath,
-                videoFiles: videoFiles // List of video files from this XML
+                videoFiles: videoFiles, // List of video files from this XML
+                clips: clips // Per-Material entries (video, proxy, sidecar, thumbnail)
             };
         }
         return null;
     }
 
+    // One <Material> entry from MEDIAPRO.XML with its proxy and RelevantInfo files
+    extractMaterial(material, xmlDir) {
+        const uri = material['@_uri'] || material.uri;
+        if (!uri || !VIDEO_URI_PATTERN.test(uri)) return null;
+
+        const fps = parseFpsString(material['@_fps']);
+        const durationFrames = material['@_dur'] !== undefined ? Number(material['@_dur']) : null;
+
+        const clip = {
+            filePath: resolveRelativeUri(xmlDir, uri),
+            proxyPath: null,
+            sidecarPath: null,
+            thumbnailPath: null,
+            attributes: this.extractMaterialAttributes(material, fps, durationFrames),
+            proxyAttributes: null
+        };
+
+        if (material.Proxy) {
+            const proxyUri = material.Proxy['@_uri'] || material.Proxy.uri;
+            if (proxyUri) {
+                clip.proxyPath = resolveRelativeUri(xmlDir, proxyUri);
+                // Proxies carry no fps/dur of their own; they share the main clip's timing
+                clip.proxyAttributes = this.extractMaterialAttributes(material.Proxy, fps, durationFrames);
+            }
+        }
+
+        for (const info of toArray(material.RelevantInfo)) {
+            const infoUri = info['@_uri'] || info.uri;
+            if (!infoUri) continue;
+            const type = String(info['@_type'] || path.extname(infoUri).slice(1)).toUpperCase();
+            if (type === 'XML') {
+                clip.sidecarPath = resolveRelativeUri(xmlDir, infoUri);
+            } else if (type === 'JPG' || type === 'JPEG') {
+                clip.thumbnailPath = resolveRelativeUri(xmlDir, infoUri);
+            }
+        }
+
+        return clip;
+    }
+
+    extractMaterialAttributes(node, fps, durationFrames) {
+        const videoType = node['@_videoType'] || null;
+        const parsedType = parseVideoType(videoType);
+        // Interlaced rates ("50i") count fields; dur is counted in frames
+        const frameRate = fps ? (fps.scan === 'i' ? fps.rate / 2 : fps.rate) : null;
+
+        return {
+            type: node['@_type'] || null,
+            videoType,
+            audioType: node['@_audioType'] || null,
+            codec: parsedType ? parsedType.codec : null,
+            bitrateMbps: parsedType ? parsedType.bitrateMbps : null,
+            width: parsedType ? parsedType.width : null,
+            height: parsedType ? parsedType.height : null,
+            fps: fps ? fps.rate : null,
+            scanType: fps ? fps.scan : null,
+            durationFrames,
+            duration: (frameRate && durationFrames !== null) ? durationFrames / frameRate : null,
+            channels: node['@_ch'] !== undefined ? Number(node['@_ch']) : null,
+            aspectRatio: node['@_aspectRatio'] || null,
+            umid: node['@_umid'] || null
+        };
+    }
+
+    // Per-clip NonRealTimeMeta sidecar (e.g. CLIP/C0073M01.XML)
+    async parseClipSidecar(filePath) {
+        try {
+            const content = await fs.readFile(filePath, 'utf-8');
+            const data = this.parser.parse(content);
+            if (!data.NonRealTimeMeta) {
+                console.log(`⚠ ${path.basename(filePath)} is not a NonRealTimeMeta sidecar`);
+                return null;
+            }
+            return this.extractClipMetadata(data.NonRealTimeMeta);
+        } catch (error) {
+            // Absent sidecars show up in card health; only real read or parse failures are logged
+            if (error.code !== 'ENOENT') {
+                console.error(`Error parsing clip sidecar ${filePath}:`, error.message);
+            }
+            return null;
+        }
+    }
+
+    extractClipMetadata(meta) {
+        const attr = (node, name) => (node ? (node[`@_${name}`] ?? node[name]) : undefined);
+
+        // Timecode: first LtcChange is the start, the "end" entry (or last) is the end
+        let startTimecode = null;
+        let endTimecode = null;
+        let timecodeFps = null;
+        const ltcTable = meta.LtcChangeTable;
+        if (ltcTable) {
+            timecodeFps = attr(ltcTable, 'tcFps') ? Number(attr(ltcTable, 'tcFps')) : null;
+            const changes = toArray(ltcTable.LtcChange);
+            if (changes.length > 0) {
+                startTimecode = decodeLtc(attr(changes[0], 'value'));
+                const endChange = changes.find(c => attr(c, 'status') === 'end') || changes[changes.length - 1];
+                endTimecode = decodeLtc(attr(endChange, 'value'));
+            }
+        }
+
+        const videoFrame = meta.VideoFormat?.VideoFrame;
+        const captureFps = parseFpsString(attr(videoFrame, 'captureFps'));
+        const formatFps = parseFpsString(attr(videoFrame, 'formatFps'));
+
+        // AcquisitionRecord groups hold camera/lens settings as name/value items
+        const items = {};
+        for (const group of toArray(meta.AcquisitionRecord?.Group)) {
+            for (const item of toArray(group.Item)) {
+                const name = attr(item, 'name');
+                if (name) items[name] = attr(item, 'value');
+            }
+        }
+        const firstItem = (...names) => {
+            for (const name of names) {
+                if (items[name] !== undefined && items[name] !== '') return items[name];
+            }
+            return null;
+        };
+
+        const gamma = firstItem('CaptureGammaEquation');
+        const colorPrimaries = firstItem('CaptureColorPrimaries');
+        const iso = firstItem('ISOSensitivity', 'ISO', 'ExposureIndexOfPhotoMeter');
+        const whiteBalance = firstItem('WhiteBalance', 'ColorTemperature');
+        const focalLength = firstItem('LensZoomActualFocalLength', 'FocalLength', 'LensZoom35mmStillCameraEquivalent');
+
+        const recordingMode = meta.RecordingMode;
+
+        return {
+            umid: attr(meta.TargetMaterial, 'umidRef') || null,
+            // Recording start in the camera's wall clock, with its time zone
+            creationDate: attr(meta.CreationDate, 'value') || null,
+            startTimecode,
+            endTimecode,
+            timecodeFps,
+            durationFrames: attr(meta.Duration, 'value') ? Number(attr(meta.Duration, 'value')) : null,
+            captureFps: captureFps ? captureFps.rate : null,
+            formatFps: formatFps ? formatFps.rate : null,
+            scanType: formatFps ? formatFps.scan : null,
+            videoCodec: attr(videoFrame, 'videoCodec') || null,
+            gamma: labelFor(GAMMA_LABELS, gamma),
+            colorSpace: labelFor(COLOR_SPACE_LABELS, colorPrimaries),
+            whiteBalance: whiteBalance ? String(whiteBalance) : null,
+            iso: iso ? String(iso) : null,
+            lensModel: firstItem('LensAttributes', 'LensModelName') || attr(meta.Lens, 'modelName') || null,
+            focalLength: focalLength ? String(focalLength) : null,
+            recordMode: attr(recordingMode, 'type') || null
+        };
+    }
+
+    // InitializedDate from the DISCMETA.XML next to a MEDIAPRO.XML (when the card was formatted)
+    async readDiscMeta(directory) {
+        for (const name of ['DISCMETA.XML', 'DISCMETA.xml']) {
+            try {
+                const content = await fs.readFile(path.join(directory, name), 'utf-8');
+                const discMeta = this.parser.parse(content).DiscMeta;
+                if (!discMeta) return null;
+                const initialized = discMeta.InitializedDate;
+                return {
+                    sourceFile: path.join(directory, name),
+                    initializedDate: (initialized && typeof initialized === 'object' ? initialized['@_value'] : initialized) || null
+                };
+            } catch {
+                // Not found, continue
+            }
+        }
+        return null;
+    }
+
     async parseAllXMLInFolder(folderPath) {
         console.log(`\n🔍 Starting XML scan in: ${folderPath}`);
         const files = await this.findXMLFiles(folderPath);
@@ -1,10 +1,24 @@
 const { app, BrowserWindow, ipcMain, dialog, protocol, net } = require('electron');
 const path = require('path');
 const fs = require('fs').promises;
+const { pathToFileURL } = require('url');
 const { startServer, getPort } = require('./lib/streamServer.cjs');
+const { getMediaToken, isValidToken, allowMediaRoot, allowMediaFiles, resolveMediaPath } = require('./lib/mediaAccess.cjs');
 
 let mainWindow;
 
+// The packaged renderer is served from app://renderer/ instead of file://, whose
+// pages have the opaque origin "null"; this exact origin is the one the stream
+// server grants CORS to
+const RENDERER_HOST = 'renderer';
+const RENDERER_ORIGIN = `app://${RENDERER_HOST}`;
+const RENDERER_ROOT = path.join(__dirname, 'dist');
+
+// Must happen before the app is ready
+protocol.registerSchemesAsPrivileged([
+    { scheme: 'app', privileges: { standard: true, secure: true, supportFetchAPI: true, corsEnabled: true } }
+]);
+
 function createWindow() {
     mainWindow = new BrowserWindow({
         width: 1400,
@@ -22,24 +36,49 @@ function createWindow() {
     });
 
     // In development, load from localhost
-    // In production, load from index.html
+    // In production, load the built index.html over app://
     if (process.env.NODE_ENV === 'development') {
         mainWindow.loadURL('http://localhost:5173');
         mainWindow.webContents.openDevTools();
     } else {
-        mainWindow.loadFile(path.join(__dirname, 'dist', 'index.html'));
+        mainWindow.loadURL(`${RENDERER_ORIGIN}/index.html`);
     }
 }
 
 app.whenReady().then(async () => {
-    // Start streaming server
-    await startServer();
-
-    // Register 'media' protocol to serve local files (images, etc.)
-    protocol.handle('media', (request) => {
-        const filePath = request.url.slice('media://'.length);
-        const decodedPath = decodeURIComponent(filePath);
-        return net.fetch(`file:///${decodedPath}`);
+    // Start streaming server; HLS preview segments are kept between sessions
+    await startServer({
+        hlsCacheDir: path.join(app.getPath('userData'), 'hls-cache'),
+        // The renderer's origin: the Vite dev server, or app://renderer when packaged
+        origins: process.env.NODE_ENV === 'development' ? ['http://localhost:5173'] : [RENDERER_ORIGIN]
+    });
+
+    // Register 'app' protocol to serve the built renderer: app://renderer/<file under dist/>
+    protocol.handle('app', (request) => {
+        const url = new URL(request.url);
+        const filePath = path.join(RENDERER_ROOT, decodeURIComponent(url.pathname));
+        if (url.host !== RENDERER_HOST || path.relative(RENDERER_ROOT, filePath).startsWith('..')) {
+            console.error(`⛔ Refused app:// request outside the renderer: ${request.url}`);
+            return new Response('Not found', { status: 404 });
+        }
+        return net.fetch(pathToFileURL(filePath).toString());
+    });
+
+    // Register 'media' protocol to serve local files (images, etc.):
+    // media://file?path=<absolute path>&token=<media token>, only under analyzed folders
+    protocol.handle('media', async (request) => {
+        const url = new URL(request.url);
+        if (!isValidToken(url.searchParams.get('token'))) {
+            console.error('⛔ Refused media:// request without a valid media token');
+            return new Response('Invalid or missing media token', { status: 403 });
+        }
+        try {
+            const filePath = await resolveMediaPath(url.searchParams.get('path'));
+            return net.fetch(pathToFileURL(filePath).toString());
+        } catch (error) {
+            console.error(`⛔ ${error.message}`);
+            return new Response(error.message, { status: error.statusCode || 500 });
+        }
     });
 
     createWindow();
@@ -66,6 +105,11 @@ ipcMain.handle('get-stream-port', () => {
     return getPort();
 });
 
+// Goes into every stream server and media:// URL
+ipcMain.handle('get-media-token', () => {
+    return getMediaToken();
+});
+
 ipcMain.handle('select-folder', async () => {
     const result = await dialog.showOpenDialog(mainWindow, {
         properties: ['openDirectory'],
@@ -74,27 +118,296 @@ ipcMain.handle('select-folder', async () => {
     return result.canceled ? null : result.filePaths[0];
 });
 
-ipcMain.handle('analyze-footage', async (event, folderPath) => {
+const cameraLabelsPath = () => path.join(app.getPath('userData'), 'camera-labels.json');
+const thumbnailCacheSettingsPath = () => path.join(app.getPath('userData'), 'thumbnail-cache.json');
+
+// Thumbnails rendered with FFmpeg, kept between sessions up to a size limit the user can change
+let thumbnailCache = null;
+async function getThumbnailCache() {
+    if (!thumbnailCache) {
+        const { createThumbnailCache, DEFAULT_MAX_BYTES } = require('./lib/thumbnailCache.cjs');
+        let maxBytes = DEFAULT_MAX_BYTES;
+        try {
+            const settings = JSON.parse(await fs.readFile(thumbnailCacheSettingsPath(), 'utf-8'));
+            if (settings.maxBytes > 0) maxBytes = settings.maxBytes;
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error('Error reading thumbnail cache settings:', error.message);
+        }
+        thumbnailCache = createThumbnailCache({ cacheDir: path.join(app.getPath('userData'), 'thumbnail-cache'), maxBytes });
+    }
+    return thumbnailCache;
+}
+
+// Control handle of the analysis currently running, if any
+let activeAnalysis = null;
+
+ipcMain.handle('analyze-footage', async (event, folderPath, { forceRescan = false, concurrency } = {}) => {
+    const { createAnalysisControl } = require('./lib/analysisControl.cjs');
+    const control = createAnalysisControl();
+    activeAnalysis = control;
     try {
+        // Clips under this folder can now be played
+        await allowMediaRoot(folderPath);
         const { analyzeFootage } = require('./lib/analyzer.cjs');
+        const { loadCameraLabels, applyCameraLabels } = require('./lib/cameraLabels.cjs');
         const results = await analyzeFootage(folderPath, (progress) => {
             event.sender.send('analysis-progress', progress);
+        }, {
+            indexPath: path.join(app.getPath('userData'), 'analysis-index.json'),
+            forceRescan,
+            concurrency,
+            control,
+            thumbnailCache: await getThumbnailCache()
+        });
+        // Thumbnails are loaded by the renderer over media://; some live outside the folder (cache, card THMBNL).
+        // Duplicate copies are not in the results as files (the primary lists their paths only), so have none to allow.
+        const shownFiles = [...results.cameras.flatMap(camera => camera.files), ...results.unknownFiles];
+        await allowMediaFiles(shownFiles.map(file => file.thumbnailPath).filter(Boolean));
+        return { success: true, data: applyCameraLabels(results, await loadCameraLabels(cameraLabelsPath())) };
+    } catch (error) {
+        console.error(error);
+        return { success: false, error: error.message };
+    } finally {
+        if (activeAnalysis === control) activeAnalysis = null;
+    }
+});
+
+ipcMain.handle('get-thumbnail-cache', async () => {
+    try {
+        const cache = await getThumbnailCache();
+        return { success: true, data: await cache.usage() };
+    } catch (error) {
+        console.error(error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Changes the size limit (evicting right away if the cache is over it) and remembers it
+ipcMain.handle('set-thumbnail-cache-limit', async (event, maxBytes) => {
+    try {
+        if (!(maxBytes > 0)) throw new Error('The cache limit must be a positive number of bytes');
+        const cache = await getThumbnailCache();
+        await cache.setMaxBytes(maxBytes);
+        await fs.writeFile(thumbnailCacheSettingsPath(), JSON.stringify({ maxBytes }, null, 2));
+        return { success: true, data: await cache.usage() };
+    } catch (error) {
+        console.error(error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('clear-thumbnail-cache', async () => {
+    try {
+        // A running analysis may be writing into the cache
+        if (activeAnalysis) throw new Error('Wait for the analysis to finish before clearing the thumbnail cache');
+        const cache = await getThumbnailCache();
+        await cache.clear();
+        return { success: true, data: await cache.usage() };
+    } catch (error) {
+        console.error(error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Saves the label for one serial and returns the results relabelled with it
+ipcMain.handle('set-camera-label', async (event, { results, serial, label, operator, color }) => {
+    try {
+        const { saveCameraLabel, applyCameraLabels } = require('./lib/cameraLabels.cjs');
+        const labels = await saveCameraLabel(cameraLabelsPath(), serial, { label, operator, color });
+        return { success: true, data: applyCameraLabels(results, labels) };
+    } catch (error) {
+        console.error(error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('cancel-analysis', () => {
+    if (!activeAnalysis) return { success: false, error: 'No analysis is running' };
+    activeAnalysis.cancel();
+    return { success: true };
+});
+
+ipcMain.handle('pause-analysis', () => {
+    if (!activeAnalysis) return { success: false, error: 'No analysis is running' };
+    activeAnalysis.pause();
+    return { success: true };
+});
+
+ipcMain.handle('resume-analysis', () => {
+    if (!activeAnalysis) return { success: false, error: 'No analysis is running' };
+    activeAnalysis.resume();
+    return { success: true };
+});
+
+ipcMain.handle('create-mhl', async (event, { root, algorithms }) => {
+    try {
+        const { createManifest } = require('./lib/mhl.cjs');
+        const result = await createManifest(root, {
+            algorithms,
+            progressCallback: (progress) => event.sender.send('analysis-progress', progress)
+        });
+        return { success: true, data: result };
+    } catch (error) {
+        console.error(error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('verify-mhl', async (event, { copyRoot, manifestRoot }) => {
+    try {
+        const { verifyManifest } = require('./lib/mhl.cjs');
+        const report = await verifyManifest(copyRoot, {
+            manifestRoot,
+            progressCallback: (progress) => event.sender.send('analysis-progress', progress)
+        });
+        return { success: true, data: report };
+    } catch (error) {
+        console.error(error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('offload-cards', async (event, options) => {
+    try {
+        const { offloadCards } = require('./lib/offload.cjs');
+        const result = await offloadCards({
+            ...options,
+            progressCallback: (progress) => event.sender.send('analysis-progress', progress)
+        });
+        return { success: true, data: result };
+    } catch (error) {
+        console.error(error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('build-organize-plan', async (event, { results, options }) => {
+    try {
+        const { buildOrganizePlan } = require('./lib/organizer.cjs');
+        return { success: true, data: await buildOrganizePlan(results, options) };
+    } catch (error) {
+        console.error(error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('execute-organize-plan', async (event, plan) => {
+    try {
+        const { executeOrganizePlan } = require('./lib/organizer.cjs');
+        const result = await executeOrganizePlan(plan, (progress) => {
+            event.sender.send('analysis-progress', progress);
+        });
+        return { success: true, data: result };
+    } catch (error) {
+        console.error(error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('undo-organize', async (event, journalPath) => {
+    try {
+        const { undoOrganize } = require('./lib/organizer.cjs');
+        const result = await undoOrganize(journalPath, (progress) => {
+            event.sender.send('analysis-progress', progress);
         });
-        return { success: true, data: results };
+        return { success: true, data: result };
+    } catch (error) {
+        console.error(error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('list-organize-journals', async (event, targetRoot) => {
+    const { listOrganizeJournals } = require('./lib/organizer.cjs');
+    return listOrganizeJournals(targetRoot);
+});
+
+ipcMain.handle('get-report-columns', () => {
+    const { describeColumns } = require('./lib/reportFields.cjs');
+    return describeColumns();
+});
+
+// Regroup clips into multicam sync groups after the user changes camera offsets
+ipcMain.handle('find-sync-groups', async (event, { results, offsets = {} }) => {
+    try {
+        const { findSyncGroups } = require('./lib/multicam.cjs');
+        return { success: true, data: findSyncGroups(results, { offsets }) };
     } catch (error) {
         console.error(error);
         return { success: false, error: error.message };
     }
 });
 
-ipcMain.handle('export-report', async (event, { format, data, filename }) => {
+ipcMain.handle('apply-clock-corrections', async (event, { results, corrections = {} }) => {
+    try {
+        const { applyClockCorrections } = require('./lib/clockCheck.cjs');
+        return { success: true, data: applyClockCorrections(results, corrections) };
+    } catch (error) {
+        console.error(error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Save-dialog extension where it differs from the format name
+const EXPORT_EXTENSIONS = { xmeml: 'xml', multicam: 'fcpxml' };
+
+// Reports are rendered here from the results; `data` is written as-is when no results are sent
+ipcMain.handle('export-report', async (event, { format, data, results, options = {}, filename }) => {
     const result = await dialog.showSaveDialog(mainWindow, {
         defaultPath: filename,
-        filters: [{ name: format.toUpperCase(), extensions: [format] }]
+        filters: [{ name: format.toUpperCase(), extensions: [EXPORT_EXTENSIONS[format] || format] }]
     });
 
     if (result.canceled) return { success: false };
 
-    await fs.writeFile(result.filePath, data);
-    return { success: true, path: result.filePath };
+    try {
+        let content = data;
+        if (format === 'html' && results) {
+            const { renderHtmlReport } = require('./lib/htmlReport.cjs');
+            content = await renderHtmlReport(results);
+        } else if (format === 'xlsx' && results) {
+            const { renderXlsxReport } = require('./lib/xlsxReport.cjs');
+            content = renderXlsxReport(results);
+        } else if (format === 'fcpxml' && results) {
+            const { renderFcpxml } = require('./lib/nleExport.cjs');
+            content = renderFcpxml(results);
+        } else if (format === 'xmeml' && results) {
+            const { renderXmeml } = require('./lib/nleExport.cjs');
+            content = renderXmeml(results);
+        } else if (format === 'multicam' && results) {
+            const { renderMulticamFcpxml } = require('./lib/multicam.cjs');
+            content = renderMulticamFcpxml(results, options);
+        } else if ((format === 'csv' || format === 'tsv') && results) {
+            const { renderCsvReport } = require('./lib/csvReport.cjs');
+            content = renderCsvReport(results, { ...options, format });
+        }
+        await fs.writeFile(result.filePath, content);
+        return { success: true, path: result.filePath };
+    } catch (error) {
+        console.error(error);
+        return { success: false, error: error.message };
+    }
+});
+
+// One CMX3600 EDL per camera, written into a folder the user picks
+ipcMain.handle('export-edl', async (event, { results }) => {
+    const result = await dialog.showOpenDialog(mainWindow, {
+        properties: ['openDirectory', 'createDirectory'],
+        title: 'Select Folder for EDL Files'
+    });
+
+    if (result.canceled) return { success: false };
+
+    try {
+        const { renderEdls } = require('./lib/nleExport.cjs');
+        const folder = result.filePaths[0];
+        const files = renderEdls(results);
+        for (const file of files) {
+            await fs.writeFile(path.join(folder, file.fileName), file.content);
+        }
+        return { success: true, path: folder, files: files.map(f => f.fileName) };
+    } catch (error) {
+        console.error(error);
+        return { success: false, error: error.message };
+    }
 });
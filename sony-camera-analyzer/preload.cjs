@@ -3,9 +3,28 @@ const { contextBridge, ipcRenderer, webUtils } = require('electron');
 contextBridge.exposeInMainWorld('electronAPI', {
     selectFolder: () => ipcRenderer.invoke('select-folder'),
     getFilePath: (file) => webUtils.getPathForFile(file),
-    analyzeFootage: (path) => ipcRenderer.invoke('analyze-footage', path),
+    analyzeFootage: (path, options) => ipcRenderer.invoke('analyze-footage', path, options),
+    cancelAnalysis: () => ipcRenderer.invoke('cancel-analysis'),
+    pauseAnalysis: () => ipcRenderer.invoke('pause-analysis'),
+    resumeAnalysis: () => ipcRenderer.invoke('resume-analysis'),
     exportReport: (options) => ipcRenderer.invoke('export-report', options),
+    exportEdl: (options) => ipcRenderer.invoke('export-edl', options),
+    findSyncGroups: (options) => ipcRenderer.invoke('find-sync-groups', options),
+    setCameraLabel: (options) => ipcRenderer.invoke('set-camera-label', options),
+    applyClockCorrections: (options) => ipcRenderer.invoke('apply-clock-corrections', options),
+    getReportColumns: () => ipcRenderer.invoke('get-report-columns'),
+    getThumbnailCache: () => ipcRenderer.invoke('get-thumbnail-cache'),
+    setThumbnailCacheLimit: (maxBytes) => ipcRenderer.invoke('set-thumbnail-cache-limit', maxBytes),
+    clearThumbnailCache: () => ipcRenderer.invoke('clear-thumbnail-cache'),
+    createMhl: (options) => ipcRenderer.invoke('create-mhl', options),
+    verifyMhl: (options) => ipcRenderer.invoke('verify-mhl', options),
+    offloadCards: (options) => ipcRenderer.invoke('offload-cards', options),
+    buildOrganizePlan: (options) => ipcRenderer.invoke('build-organize-plan', options),
+    executeOrganizePlan: (plan) => ipcRenderer.invoke('execute-organize-plan', plan),
+    undoOrganize: (journalPath) => ipcRenderer.invoke('undo-organize', journalPath),
+    listOrganizeJournals: (targetRoot) => ipcRenderer.invoke('list-organize-journals', targetRoot),
     getStreamPort: () => ipcRenderer.invoke('get-stream-port'),
+    getMediaToken: () => ipcRenderer.invoke('get-media-token'),
     logError: (msg) => ipcRenderer.invoke('log-error', msg),
     onProgress: (callback) => {
         const subscription = (event, value) => callback(value);
@@ -0,0 +1,149 @@
+// Clip filters for the Dashboard. Pure functions over the analysis results, so
+// the same filtered view feeds the stats cards, the clip tables and the exports.
+
+const MB = 1024 * 1024;
+
+export const EMPTY_FILTERS = {
+    search: '',
+    dateFrom: '',
+    dateTo: '',
+    camera: '',
+    model: '',
+    format: '',
+    resolution: '',
+    frameRate: '',
+    slowMotion: '', // '' | 'only' | 'exclude'
+    kind: '', // '' | 'main' | 'proxy'
+    minSizeMB: '',
+    maxSizeMB: '',
+    minDuration: '',
+    maxDuration: ''
+};
+
+export const RESOLUTION_CLASSES = ['4K', 'HD', 'Proxy'];
+
+export const getResolutionLabel = (width) => {
+    if (!width) return '';
+    if (width >= 3840) return '4K';
+    if (width >= 1920) return 'HD';
+    return 'Proxy';
+};
+
+// Same rule as isProxyFile in lib/reportFields.cjs, which the renderer cannot import: the name without extension ends in S03
+export const isProxyFile = (file) => /S03$/i.test(file.fileName.replace(/\.[^.]*$/, ''));
+
+export const isSlowMotion = (file) => (file.captureFps || file.frameRate) > 60;
+
+// Playback and capture rate; an S&Q clip matches both "25" and "100"
+const clipFrameRates = (file) => [file.formatFps || file.frameRate, file.captureFps].filter(Boolean).map(Number);
+
+// "YYYY-MM-DD" of the recording in local time, as the date groups use
+export const localDay = (value) => {
+    const date = value ? new Date(value) : null;
+    if (!date || isNaN(date.getTime())) return null;
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+const numberOrNull = (value) => (value === '' || value === null || value === undefined || isNaN(Number(value)) ? null : Number(value));
+
+export const isFilterActive = (filters) => Object.keys(EMPTY_FILTERS).some(key => filters[key] !== EMPTY_FILTERS[key]);
+
+function matchesFile(file, camera, filters) {
+    const search = filters.search.trim().toLowerCase();
+    if (search && !`${file.fileName}\n${file.filePath}`.toLowerCase().includes(search)) return false;
+
+    if (filters.dateFrom || filters.dateTo) {
+        const day = localDay(file.created);
+        if (!day) return false;
+        if (filters.dateFrom && day < filters.dateFrom) return false;
+        if (filters.dateTo && day > filters.dateTo) return false;
+    }
+
+    if (filters.camera && camera.id !== filters.camera) return false;
+    if (filters.model && camera.model !== filters.model) return false;
+    if (filters.format && (file.format || 'UNKNOWN') !== filters.format) return false;
+    if (filters.resolution && getResolutionLabel(file.width) !== filters.resolution) return false;
+    if (filters.frameRate && !clipFrameRates(file).includes(Number(filters.frameRate))) return false;
+    if (filters.slowMotion === 'only' && !isSlowMotion(file)) return false;
+    if (filters.slowMotion === 'exclude' && isSlowMotion(file)) return false;
+    if (filters.kind === 'proxy' && !isProxyFile(file)) return false;
+    if (filters.kind === 'main' && isProxyFile(file)) return false;
+
+    const minSize = numberOrNull(filters.minSizeMB);
+    const maxSize = numberOrNull(filters.maxSizeMB);
+    if (minSize !== null && (file.size || 0) < minSize * MB) return false;
+    if (maxSize !== null && (file.size || 0) > maxSize * MB) return false;
+
+    const minDuration = numberOrNull(filters.minDuration);
+    const maxDuration = numberOrNull(filters.maxDuration);
+    if (minDuration !== null && (file.duration || 0) < minDuration) return false;
+    if (maxDuration !== null && (file.duration || 0) > maxDuration) return false;
+
+    return true;
+}
+
+// Choices for the filter selects, taken from what was actually analyzed
+export function filterOptions(results) {
+    const formats = new Set();
+    const frameRates = new Set();
+    for (const camera of results.cameras) {
+        for (const file of camera.files) {
+            formats.add(file.format || 'UNKNOWN');
+            clipFrameRates(file).forEach(rate => frameRates.add(rate));
+        }
+    }
+    return {
+        cameras: results.cameras.map(camera => ({ id: camera.id, name: camera.label || `${camera.model} ${camera.id}` })),
+        models: [...new Set(results.cameras.map(camera => camera.model))].sort(),
+        formats: [...formats].sort(),
+        frameRates: [...frameRates].sort((a, b) => a - b)
+    };
+}
+
+/**
+ * The results narrowed to the clips that pass the filters: cameras without a
+ * matching clip are dropped, the clip totals in stats are recounted and sync
+ * groups keep only matching clips (and only groups still spanning two cameras).
+ * Returns the results unchanged when no filter is set.
+ */
+export function filterResults(results, filters) {
+    if (!results || !isFilterActive(filters)) return results;
+
+    const cameras = results.cameras
+        .map(camera => {
+            const files = camera.files.filter(file => matchesFile(file, camera, filters));
+            return { ...camera, files, totalSize: files.reduce((sum, file) => sum + (file.size || 0), 0) };
+        })
+        .filter(camera => camera.files.length > 0);
+
+    const kept = new Set(cameras.flatMap(camera => camera.files.map(file => file.filePath)));
+    const files = cameras.flatMap(camera => camera.files);
+    const formatDistribution = {};
+    for (const file of files) {
+        const format = file.format || 'UNKNOWN';
+        formatDistribution[format] = (formatDistribution[format] || 0) + 1;
+    }
+
+    const syncGroups = (results.syncGroups || [])
+        .map(group => ({
+            ...group,
+            cameras: group.cameras
+                .map(camera => ({ ...camera, clips: camera.clips.filter(clip => kept.has(clip.filePath)) }))
+                .filter(camera => camera.clips.length > 0)
+        }))
+        .filter(group => group.cameras.length > 1);
+
+    return {
+        ...results,
+        cameras,
+        syncGroups,
+        stats: {
+            ...results.stats,
+            totalFiles: files.length,
+            totalSize: files.reduce((sum, file) => sum + (file.size || 0), 0),
+            metadataConflicts: files.filter(file => file.metadataConflicts).length,
+            formatDistribution
+        },
+        filtered: true
+    };
+}
@@ -1,10 +1,112 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import MediaModal from './MediaModal';
+import { getResolutionLabel } from '../clipFilters';
+import { mediaUrl } from '../mediaUrls';
 
-export default function CameraCard({ camera, streamPort }) {
+function SortIcon({ column, sortConfig }) {
+    if (sortConfig.key !== column) return <span className="ml-1 text-gray-600">↕</span>;
+    return <span className="ml-1 text-blue-400">{sortConfig.direction === 'asc' ? '↑' : '↓'}</span>;
+}
+
+const DEFAULT_LABEL_COLOR = '#3b82f6';
+
+// Requests the image only once its row comes near the viewport, so long clip lists stay cheap to open
+function LazyThumbnail({ src }) {
+    const ref = useRef(null);
+    const [visible, setVisible] = useState(false);
+
+    useEffect(() => {
+        const observer = new IntersectionObserver((entries) => {
+            if (entries.some(entry => entry.isIntersecting)) {
+                setVisible(true);
+                observer.disconnect();
+            }
+        }, { rootMargin: '200px' });
+        observer.observe(ref.current);
+        return () => observer.disconnect();
+    }, []);
+
+    return (
+        <img
+            ref={ref}
+            src={visible ? src : undefined}
+            alt="Thumbnail"
+            className="w-full h-full object-cover"
+            decoding="async"
+        />
+    );
+}
+
+// Label, operator and colour for one serial; saved for the next time the camera shows up
+function LabelEditor({ camera, onSave, onClose }) {
+    const [label, setLabel] = useState(camera.label || '');
+    const [operator, setOperator] = useState(camera.operator || '');
+    const [color, setColor] = useState(camera.color || DEFAULT_LABEL_COLOR);
+    const [saving, setSaving] = useState(false);
+
+    const save = async (fields) => {
+        setSaving(true);
+        await onSave(camera.id, fields);
+        setSaving(false);
+        onClose();
+    };
+
+    return (
+        <div className="px-4 pb-4 flex flex-wrap items-end gap-3 text-xs" onClick={(e) => e.stopPropagation()}>
+            <label className="flex flex-col text-gray-400">
+                Label
+                <input
+                    value={label}
+                    onChange={(e) => setLabel(e.target.value)}
+                    placeholder="A-Cam"
+                    className="mt-1 px-2 py-1 rounded bg-gray-900 border border-gray-700 text-white"
+                />
+            </label>
+            <label className="flex flex-col text-gray-400">
+                Operator
+                <input
+                    value={operator}
+                    onChange={(e) => setOperator(e.target.value)}
+                    className="mt-1 px-2 py-1 rounded bg-gray-900 border border-gray-700 text-white"
+                />
+            </label>
+            <label className="flex flex-col text-gray-400">
+                Colour
+                <input
+                    type="color"
+                    value={color}
+                    onChange={(e) => setColor(e.target.value)}
+                    className="mt-1 h-7 w-12 rounded bg-gray-900 border border-gray-700"
+                />
+            </label>
+            <button
+                onClick={() => save({ label, operator, color })}
+                disabled={saving}
+                className="px-3 py-1 rounded bg-blue-600 hover:bg-blue-700 text-white disabled:opacity-50"
+            >
+                Save
+            </button>
+            {(camera.label || camera.operator || camera.color) && (
+                <button
+                    onClick={() => save({})}
+                    disabled={saving}
+                    className="px-3 py-1 rounded bg-gray-700 hover:bg-gray-600 text-gray-200 disabled:opacity-50"
+                >
+                    Remove Label
+                </button>
+            )}
+            <button onClick={onClose} className="px-3 py-1 rounded text-gray-400 hover:text-white">
+                Cancel
+            </button>
+        </div>
+    );
+}
+
+export default function CameraCard({ camera, streamPort, mediaToken, onSaveLabel }) {
     const [expanded, setExpanded] = useState(false);
+    const [editingLabel, setEditingLabel] = useState(false);
     const [sortConfig, setSortConfig] = useState({ key: 'fileName', direction: 'asc' });
-    const [selectedMedia, setSelectedMedia] = useState(null);
-    const [playbackError, setPlaybackError] = useState(false);
+    const [selectedFile, setSelectedFile] = useState(null);
 
     const formatSize = (bytes) => {
         if (bytes === 0) return '0 B';
@@ -26,17 +128,27 @@ export default function CameraCard({ camera, streamPort }) {
         return `${m}:${s.toString().padStart(2, '0')}`;
     };
 
-    const getResolutionLabel = (width, height) => {
-        if (!width) return '';
-        if (width >= 3840) return '4K';
-        if (width >= 1920) return 'HD';
-        return 'Proxy';
-    };
-
     const isSlowMotion = (fps) => {
         return fps && fps > 60;
     };
 
+    const describeConflicts = (conflicts) => {
+        return conflicts
+            .map(c => `${c.field}: MEDIAPRO.XML ${c.manifest} vs exiftool ${c.exiftool}`)
+            .join('\n');
+    };
+
+    // Shows "100p → 25p" for S&Q clips where capture and format rates differ
+    const formatFrameRate = (file) => {
+        const fps = file.formatFps || file.frameRate;
+        if (!fps) return '';
+        const scan = file.scanType || 'p';
+        if (file.captureFps && file.captureFps !== fps) {
+            return `${file.captureFps}${scan} → ${fps}${scan}`;
+        }
+        return `${fps}${scan}`;
+    };
+
     const formatCounts = camera.files.reduce((acc, file) => {
         const fmt = file.format || 'UNKNOWN';
         acc[fmt] = (acc[fmt] || 0) + 1;
@@ -95,33 +207,12 @@ export default function CameraCard({ camera, streamPort }) {
         return 0;
     });
 
-    const SortIcon = ({ column }) => {
-        if (sortConfig.key !== column) return <span className="ml-1 text-gray-600">↕</span>;
-        return <span className="ml-1 text-blue-400">{sortConfig.direction === 'asc' ? '↑' : '↓'}</span>;
-    };
-
-    const handleOpenMedia = (media) => {
-        setPlaybackError(false);
-        setSelectedMedia(media);
-    };
-
-    // Reset error if stream port becomes available (retry playback)
-    React.useEffect(() => {
-        if (streamPort && playbackError) {
-            setPlaybackError(false);
-        }
-    }, [streamPort]);
-
-    const getStreamUrl = (filePath) => {
-        if (streamPort) {
-            return `http://localhost:${streamPort}/stream?file=${encodeURIComponent(filePath)}`;
-        }
-        return `media://${filePath}`;
-    };
-
     return (
         <>
-            <div className="bg-gray-800/50 backdrop-blur-sm border border-gray-700 rounded-lg overflow-hidden mb-4 transition-all hover:border-blue-500/50">
+            <div
+                className="bg-gray-800/50 backdrop-blur-sm border border-gray-700 rounded-lg overflow-hidden mb-4 transition-all hover:border-blue-500/50"
+                style={camera.color ? { borderLeft: `4px solid ${camera.color}` } : undefined}
+            >
                 <div
                     className="p-4 cursor-pointer flex items-center justify-between"
                     onClick={() => setExpanded(!expanded)}
@@ -134,14 +225,28 @@ export default function CameraCard({ camera, streamPort }) {
                         </div>
                         <div>
                             <div className="flex items-center space-x-3">
-                                <h3 className="text-lg font-semibold text-white">{camera.model}</h3>
+                                <h3 className="text-lg font-semibold text-white">
+                                    {camera.label || camera.model}
+                                    {camera.label && <span className="ml-2 text-sm font-normal text-gray-400">{camera.model}</span>}
+                                </h3>
                                 {uniqueFolders.map(folder => (
                                     <span key={folder} className="px-2 py-0.5 rounded text-xs font-medium bg-indigo-900/50 text-indigo-300 border border-indigo-700/50">
                                         {folder}
                                     </span>
                                 ))}
                             </div>
-                            <p className="text-sm text-gray-400">S/N: {camera.id}</p>
+                            <p className="text-sm text-gray-400">
+                                S/N: {camera.id}
+                                {camera.operator && <span className="ml-3">Operator: {camera.operator}</span>}
+                                {onSaveLabel && (
+                                    <button
+                                        onClick={(e) => { e.stopPropagation(); setEditingLabel(!editingLabel); }}
+                                        className="ml-3 text-xs text-blue-400 hover:text-blue-300"
+                                    >
+                                        {camera.label ? 'Edit label' : 'Add label'}
+                                    </button>
+                                )}
+                            </p>
                         </div>
                     </div>
 
@@ -168,6 +273,10 @@ export default function CameraCard({ camera, streamPort }) {
                     </div>
                 </div>
 
+                {editingLabel && (
+                    <LabelEditor camera={camera} onSave={onSaveLabel} onClose={() => setEditingLabel(false)} />
+                )}
+
                 {expanded && (
                     <div className="border-t border-gray-700 bg-gray-900/30 p-4">
                         <div className="overflow-x-auto">
@@ -176,75 +285,58 @@ export default function CameraCard({ camera, streamPort }) {
                                     <tr>
                                         <th className="px-4 py-2">Preview</th>
                                         <th className="px-4 py-2 hover:text-white" onClick={() => requestSort('fileName')}>
-                                            File Name <SortIcon column="fileName" />
+                                            File Name <SortIcon column="fileName" sortConfig={sortConfig} />
                                         </th>
                                         <th className="px-4 py-2 hover:text-white" onClick={() => requestSort('filePath')}>
-                                            File Location <SortIcon column="filePath" />
+                                            File Location <SortIcon column="filePath" sortConfig={sortConfig} />
                                         </th>
                                         <th className="px-4 py-2 hover:text-white" onClick={() => requestSort('size')}>
-                                            Size <SortIcon column="size" />
+                                            Size <SortIcon column="size" sortConfig={sortConfig} />
                                         </th>
                                         <th className="px-4 py-2 hover:text-white" onClick={() => requestSort('duration')}>
-                                            Duration <SortIcon column="duration" />
+                                            Duration <SortIcon column="duration" sortConfig={sortConfig} />
+                                        </th>
+                                        <th className="px-4 py-2 hover:text-white" onClick={() => requestSort('startTimecode')}>
+                                            Timecode <SortIcon column="startTimecode" sortConfig={sortConfig} />
                                         </th>
                                         <th className="px-4 py-2 hover:text-white" onClick={() => requestSort('width')}>
-                                            Res <SortIcon column="width" />
+                                            Res <SortIcon column="width" sortConfig={sortConfig} />
+                                        </th>
+                                        <th className="px-4 py-2 hover:text-white" onClick={() => requestSort('frameRate')}>
+                                            FPS <SortIcon column="frameRate" sortConfig={sortConfig} />
+                                        </th>
+                                        <th className="px-4 py-2 hover:text-white" onClick={() => requestSort('gamma')}>
+                                            Picture <SortIcon column="gamma" sortConfig={sortConfig} />
+                                        </th>
+                                        <th className="px-4 py-2 hover:text-white" onClick={() => requestSort('lensModel')}>
+                                            Lens <SortIcon column="lensModel" sortConfig={sortConfig} />
                                         </th>
                                         <th className="px-4 py-2 hover:text-white" onClick={() => requestSort('created')}>
-                                            Created <SortIcon column="created" />
+                                            Created <SortIcon column="created" sortConfig={sortConfig} />
                                         </th>
                                         <th className="px-4 py-2 hover:text-white" onClick={() => requestSort('format')}>
-                                            Format <SortIcon column="format" />
+                                            Format <SortIcon column="format" sortConfig={sortConfig} />
                                         </th>
                                     </tr>
                                 </thead>
                                 <tbody>
                                     {sortedFiles.map((file, idx) => {
-                                        const resLabel = getResolutionLabel(file.width, file.height);
-                                        const slowMo = isSlowMotion(file.frameRate);
+                                        const resLabel = getResolutionLabel(file.width);
+                                        const slowMo = isSlowMotion(file.captureFps || file.frameRate);
 
                                         return (
                                             <tr key={idx} className="border-b border-gray-800 hover:bg-gray-800/30 group">
                                                 <td className="px-4 py-2">
-                                                    {file.thumbnail ? (
+                                                    {file.thumbnailPath ? (
                                                         <div
                                                             className="relative w-16 h-9 bg-gray-900 rounded overflow-hidden cursor-pointer hover:ring-2 hover:ring-blue-500 transition-all"
                                                             onClick={(e) => {
                                                                 e.stopPropagation();
 
-                                                                // Smart Playback: Try to find a proxy file (S03) if this is a main clip
-                                                                let playPath = file.filePath;
-                                                                let isProxy = false;
-
-                                                                const baseName = file.fileName.substring(0, file.fileName.lastIndexOf('.'));
-                                                                const ext = file.fileName.substring(file.fileName.lastIndexOf('.'));
-
-                                                                // Check if we are already a proxy
-                                                                if (!baseName.endsWith('S03')) {
-                                                                    const proxyName = `${baseName}S03${ext}`;
-                                                                    // Look for proxy in the same camera list
-                                                                    const proxyFile = camera.files.find(f => f.fileName === proxyName);
-                                                                    if (proxyFile) {
-                                                                        playPath = proxyFile.filePath;
-                                                                        isProxy = true;
-                                                                    }
-                                                                }
-
-                                                                handleOpenMedia({
-                                                                    src: file.thumbnail,
-                                                                    name: file.fileName,
-                                                                    filePath: playPath,
-                                                                    isProxy: isProxy,
-                                                                    type: 'video'
-                                                                });
+                                                                setSelectedFile(file);
                                                             }}
                                                         >
-                                                            <img
-                                                                src={file.thumbnail}
-                                                                alt="Thumbnail"
-                                                                className="w-full h-full object-cover"
-                                                                loading="lazy"
-                                                            />
+                                                            <LazyThumbnail src={mediaUrl(file.thumbnailPath, mediaToken)} />
                                                             <div className="absolute inset-0 flex items-center justify-center bg-black/30 opacity-0 group-hover:opacity-100 transition-opacity">
                                                                 <svg className="w-6 h-6 text-white" fill="currentColor" viewBox="0 0 20 20">
                                                                     <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM9.555 7.168A1 1 0 008 8v4a1 1 0 001.555.832l3-2a1 1 0 000-1.664l-3-2z" clipRule="evenodd" />
@@ -257,7 +349,40 @@ export default function CameraCard({ camera, streamPort }) {
                                                         </div>
                                                     )}
                                                 </td>
-                                                <td className="px-4 py-2 font-medium text-white">{file.fileName}</td>
+                                                <td className="px-4 py-2 font-medium text-white">
+                                                    {file.fileName}
+                                                    {file.metadataConflicts && (
+                                                        <span
+                                                            className="ml-2 px-1.5 py-0.5 rounded text-[10px] bg-amber-900/50 text-amber-300 border border-amber-700/50"
+                                                            title={describeConflicts(file.metadataConflicts)}
+                                                        >
+                                                            XML ≠ EXIF
+                                                        </span>
+                                                    )}
+                                                    {file.filledFromManifest && (
+                                                        <span
+                                                            className="ml-2 px-1.5 py-0.5 rounded text-[10px] bg-gray-700 text-gray-300 border border-gray-600"
+                                                            title={`From MEDIAPRO.XML: ${file.filledFromManifest.join(', ')}`}
+                                                        >
+                                                            XML
+                                                        </span>
+                                                    )}
+                                                    {['backup', 'duplicate'].map(kind => {
+                                                        const copies = (file.copies || []).filter(c => c.kind === kind);
+                                                        if (copies.length === 0) return null;
+                                                        return (
+                                                            <span
+                                                                key={kind}
+                                                                className={`ml-2 px-1.5 py-0.5 rounded text-[10px] border ${kind === 'backup'
+                                                                    ? 'bg-teal-900/50 text-teal-300 border-teal-700/50'
+                                                                    : 'bg-red-900/50 text-red-300 border-red-700/50'}`}
+                                                                title={copies.map(c => c.filePath).join('\n')}
+                                                            >
+                                                                +{copies.length} {kind}
+                                                            </span>
+                                                        );
+                                                    })}
+                                                </td>
                                                 <td className="px-4 py-2 text-xs" title={file.filePath}>
                                                     {file.filePath}
                                                 </td>
@@ -266,6 +391,9 @@ export default function CameraCard({ camera, streamPort }) {
                                                     {formatDuration(file.duration)}
                                                     {slowMo && <span className="ml-2 px-1.5 py-0.5 rounded text-[10px] bg-yellow-900/50 text-yellow-300 border border-yellow-700/50">S&Q</span>}
                                                 </td>
+                                                <td className="px-4 py-2 font-mono text-xs text-gray-300" title={file.endTimecode ? `${file.startTimecode} – ${file.endTimecode}` : undefined}>
+                                                    {file.startTimecode || '--:--:--:--'}
+                                                </td>
                                                 <td className="px-4 py-2">
                                                     {resLabel && (
                                                         <span className={`px-2 py-0.5 rounded text-xs font-medium border ${resLabel === '4K' ? 'bg-purple-900/50 text-purple-300 border-purple-700/50' :
@@ -276,8 +404,30 @@ export default function CameraCard({ camera, streamPort }) {
                                                         </span>
                                                     )}
                                                 </td>
+                                                <td className="px-4 py-2 text-xs">
+                                                    {formatFrameRate(file)}
+                                                </td>
+                                                <td className="px-4 py-2 text-xs">
+                                                    {(file.gamma || file.colorSpace) && (
+                                                        <span className="px-1.5 py-0.5 rounded text-[10px] bg-teal-900/50 text-teal-300 border border-teal-700/50">
+                                                            {[file.gamma, file.colorSpace].filter(Boolean).join(' / ')}
+                                                        </span>
+                                                    )}
+                                                    {(file.iso || file.whiteBalance) && (
+                                                        <p className="mt-1 text-gray-500">
+                                                            {[file.iso && `ISO ${file.iso}`, file.whiteBalance && `WB ${file.whiteBalance}`].filter(Boolean).join(' · ')}
+                                                        </p>
+                                                    )}
+                                                </td>
+                                                <td className="px-4 py-2 text-xs" title={file.recordMode ? `Record mode: ${file.recordMode}` : undefined}>
+                                                    {file.lensModel || ''}
+                                                    {file.focalLength && <p className="text-gray-500">{file.focalLength}</p>}
+                                                </td>
                                                 <td className="px-4 py-2">{new Date(file.created).toLocaleString()}</td>
-                                                <td className="px-4 py-2 uppercase">{file.format}</td>
+                                                <td className="px-4 py-2 uppercase">
+                                                    {file.format}
+                                                    {file.codec && <p className="text-xs text-gray-500 normal-case">{file.codec}{file.manifest?.bitrateMbps ? ` ${file.manifest.bitrateMbps} Mbps` : ''}</p>}
+                                                </td>
                                             </tr>
                                         );
                                     })}
@@ -288,78 +438,14 @@ export default function CameraCard({ camera, streamPort }) {
                 )}
             </div>
 
-            {/* Media Modal */}
-            {selectedMedia && (
-                <div
-                    className="fixed inset-0 z-50 flex items-center justify-center bg-black/90 backdrop-blur-sm p-4"
-                    onClick={() => setSelectedMedia(null)}
-                >
-                    <div className="max-w-6xl w-full max-h-[90vh] relative flex flex-col items-center" onClick={e => e.stopPropagation()}>
-                        <div className="relative w-full aspect-video bg-black rounded-lg overflow-hidden shadow-2xl border border-gray-700 flex items-center justify-center">
-                            {!playbackError ? (
-                                <video
-                                    src={getStreamUrl(selectedMedia.filePath)}
-                                    controls
-                                    autoPlay
-                                    className="w-full h-full"
-                                    crossOrigin="anonymous"
-                                    onError={(e) => {
-                                        const msg = e.target.error ? e.target.error.message : 'Unknown Error';
-                                        console.error("Video playback error:", msg);
-                                        if (window.electronAPI) {
-                                            window.electronAPI.logError(`Video playback error for ${selectedMedia.filePath}: ${msg}`);
-                                        }
-                                        setPlaybackError(msg);
-                                    }}
-                                />
-                            ) : (
-                                <div className="relative w-full h-full">
-                                    <img
-                                        src={selectedMedia.src}
-                                        alt="Preview"
-                                        className="w-full h-full object-contain"
-                                    />
-                                    <div className="absolute inset-0 flex items-center justify-center bg-black/50">
-                                        <div className="bg-red-900/90 text-white px-6 py-4 rounded-lg border border-red-500/50 backdrop-blur-sm flex flex-col items-center space-y-2 max-w-md text-center">
-                                            <svg className="w-8 h-8 text-red-300" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
-                                            </svg>
-                                            <span className="font-bold text-lg">Playback Failed</span>
-                                            <span className="text-sm text-red-200">{typeof playbackError === 'string' ? playbackError : 'Format not supported'}</span>
-                                            <span className="text-xs text-gray-400 mt-2">Try checking if a proxy file exists for this clip.</span>
-                                        </div>
-                                    </div>
-                                </div>
-                            )}
-
-                            {selectedMedia.isProxy && !playbackError && (
-                                <div className="absolute top-4 left-4 px-2 py-1 bg-green-900/80 text-green-300 text-xs font-bold rounded border border-green-700/50 backdrop-blur-sm">
-                                    PLAYING PROXY
-                                </div>
-                            )}
-                        </div>
-                        <div className="mt-4 flex items-center justify-between w-full px-4">
-                            <div className="flex flex-col">
-                                <p className="text-white font-medium text-lg">{selectedMedia.name}</p>
-                                {selectedMedia.isProxy && <p className="text-gray-400 text-xs">Using proxy file for playback</p>}
-                            </div>
-                            <button
-                                className="text-gray-400 hover:text-white transition-colors"
-                                onClick={() => setSelectedMedia(null)}
-                            >
-                                Close (Esc)
-                            </button>
-                        </div>
-                        <button
-                            className="absolute -top-12 right-0 text-white hover:text-gray-300"
-                            onClick={() => setSelectedMedia(null)}
-                        >
-                            <svg className="w-8 h-8" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-                            </svg>
-                        </button>
-                    </div>
-                </div>
+            {selectedFile && (
+                <MediaModal
+                    file={selectedFile}
+                    cameraFiles={camera.files}
+                    streamPort={streamPort}
+                    mediaToken={mediaToken}
+                    onClose={() => setSelectedFile(null)}
+                />
             )}
         </>
     );
@@ -0,0 +1,148 @@
+import React, { useState } from 'react';
+
+const ISSUE_TYPES = [
+    { key: 'missingClips', label: 'Listed but missing' },
+    { key: 'unlistedFiles', label: 'Not in manifest' },
+    { key: 'zeroByteFiles', label: 'Zero-byte' },
+    { key: 'truncatedFiles', label: 'Truncated' },
+    { key: 'missingProxies', label: 'Missing proxy' },
+    { key: 'missingThumbnails', label: 'Missing thumbnail' },
+    { key: 'missingSidecars', label: 'Missing M01 sidecar' }
+];
+
+const formatMB = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+function MhlStatus({ status }) {
+    if (!status) return null;
+    if (status.error) {
+        return <p className="px-8 pb-3 text-xs text-red-300">MHL: {status.error}</p>;
+    }
+    if (status.manifestPath) {
+        return <p className="px-8 pb-3 text-xs text-green-300">MHL written: {status.manifestPath} ({status.fileCount} files)</p>;
+    }
+
+    const { verified, mismatched, missing, extra } = status.report;
+    const ok = mismatched.length === 0 && missing.length === 0;
+    return (
+        <div className="px-8 pb-3 text-xs">
+            <p className={ok ? 'text-green-300' : 'text-red-300'}>
+                Copy at {status.report.copyRoot}: {verified.length} verified, {mismatched.length} mismatched, {missing.length} missing, {extra.length} extra
+            </p>
+            <ul className="text-gray-400 font-mono">
+                {mismatched.map(m => <li key={m.path}>✗ {m.path} ({m.algorithm} {m.actual} ≠ {m.expected})</li>)}
+                {missing.map(p => <li key={p}>missing: {p}</li>)}
+                {extra.map(p => <li key={p}>extra: {p}</li>)}
+            </ul>
+        </div>
+    );
+}
+
+function CardHealthRow({ card, mhlStatus, onCreateMhl, onVerifyCopy, busy }) {
+    const [expanded, setExpanded] = useState(false);
+    const healthy = card.issueCount === 0;
+
+    return (
+        <div className="border-b border-gray-700 last:border-b-0">
+            <div
+                className={`p-3 flex items-center justify-between ${healthy ? '' : 'cursor-pointer hover:bg-gray-800/50'}`}
+                onClick={() => !healthy && setExpanded(!expanded)}
+            >
+                <div className="flex items-center space-x-3">
+                    <span className={`w-2.5 h-2.5 rounded-full ${healthy ? 'bg-green-500' : 'bg-amber-500'}`}></span>
+                    <span className="font-medium text-white">{card.card}</span>
+                    <span className="text-xs text-gray-400">{card.model} · S/N {card.serialNumber}</span>
+                </div>
+                <div className="flex items-center space-x-2">
+                    {onCreateMhl && (
+                        <button
+                            disabled={busy}
+                            onClick={(e) => { e.stopPropagation(); onCreateMhl(card); }}
+                            className="px-2 py-0.5 rounded text-xs bg-gray-700 hover:bg-gray-600 disabled:opacity-50"
+                        >
+                            Create MHL
+                        </button>
+                    )}
+                    {onVerifyCopy && (
+                        <button
+                            disabled={busy}
+                            onClick={(e) => { e.stopPropagation(); onVerifyCopy(card); }}
+                            className="px-2 py-0.5 rounded text-xs bg-gray-700 hover:bg-gray-600 disabled:opacity-50"
+                        >
+                            Verify Copy
+                        </button>
+                    )}
+                    <span className="text-xs text-gray-400">{card.clipCount} clips listed</span>
+                    {healthy ? (
+                        <span className="px-2 py-0.5 rounded text-xs font-medium bg-green-900/50 text-green-300 border border-green-700/50">OK</span>
+                    ) : (
+                        ISSUE_TYPES.filter(t => card[t.key].length > 0).map(t => (
+                            <span key={t.key} className="px-2 py-0.5 rounded text-xs font-medium bg-amber-900/50 text-amber-300 border border-amber-700/50">
+                                {t.label}: {card[t.key].length}
+                            </span>
+                        ))
+                    )}
+                </div>
+            </div>
+
+            {expanded && (
+                <div className="px-8 pb-3 space-y-2 text-xs">
+                    {ISSUE_TYPES.filter(t => card[t.key].length > 0).map(t => (
+                        <div key={t.key}>
+                            <p className="text-amber-300 font-medium">{t.label}</p>
+                            <ul className="text-gray-400 font-mono">
+                                {card[t.key].map(item => (
+                                    typeof item === 'string' ? (
+                                        <li key={item}>{item}</li>
+                                    ) : (
+                                        <li key={item.filePath}>
+                                            {item.filePath} ({formatMB(item.size)} of ~{formatMB(item.expectedSize)} expected)
+                                        </li>
+                                    )
+                                ))}
+                            </ul>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            <MhlStatus status={mhlStatus} />
+        </div>
+    );
+}
+
+export default function CardHealthPanel({ cards, mhlStatus = {}, hashAlgorithms, onHashAlgorithmsChange, onCreateMhl, onVerifyCopy, busy }) {
+    if (!cards || cards.length === 0) return null;
+
+    const cardsWithIssues = cards.filter(c => c.issueCount > 0).length;
+
+    return (
+        <div className="bg-gray-800/50 border border-gray-700 rounded-lg overflow-hidden">
+            <div className="p-4 border-b border-gray-700 flex items-center justify-between">
+                <h2 className="text-lg font-semibold text-white">Card Health</h2>
+                {onHashAlgorithmsChange && (
+                    <label className="flex items-center space-x-2 text-xs text-gray-400">
+                        <input
+                            type="checkbox"
+                            checked={hashAlgorithms.includes('md5')}
+                            onChange={(e) => onHashAlgorithmsChange(e.target.checked ? ['xxh64', 'md5'] : ['xxh64'])}
+                        />
+                        <span>Also hash MD5</span>
+                    </label>
+                )}
+                <span className={`text-sm ${cardsWithIssues > 0 ? 'text-amber-300' : 'text-green-300'}`}>
+                    {cardsWithIssues > 0 ? `${cardsWithIssues} of ${cards.length} cards need attention` : `All ${cards.length} cards match their manifest`}
+                </span>
+            </div>
+            {cards.map(card => (
+                <CardHealthRow
+                    key={card.manifestPath}
+                    card={card}
+                    mhlStatus={mhlStatus[card.cardRoot]}
+                    onCreateMhl={onCreateMhl}
+                    onVerifyCopy={onVerifyCopy}
+                    busy={busy}
+                />
+            ))}
+        </div>
+    );
+}
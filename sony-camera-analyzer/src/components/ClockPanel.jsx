@@ -0,0 +1,91 @@
+import React, { useState } from 'react';
+
+// "+1h 00m 05s", "-3m 12s", "+4s"
+const formatOffset = (seconds) => {
+    const sign = seconds < 0 ? '-' : '+';
+    const total = Math.round(Math.abs(seconds));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = total % 60;
+    if (h > 0) return `${sign}${h}h ${String(m).padStart(2, '0')}m ${String(s).padStart(2, '0')}s`;
+    if (m > 0) return `${sign}${m}m ${String(s).padStart(2, '0')}s`;
+    return `${sign}${s}s`;
+};
+
+export default function ClockPanel({ report, appliedCorrections = {}, onApply }) {
+    const [corrections, setCorrections] = useState(appliedCorrections);
+    const [applying, setApplying] = useState(false);
+
+    const flagged = (report || []).filter(r => r.issues.length > 0 || appliedCorrections[r.cameraId]);
+    if (flagged.length === 0) return null;
+
+    const setCorrection = (cameraId, value) => {
+        setCorrections(prev => ({ ...prev, [cameraId]: value === '' ? 0 : Number(value) }));
+    };
+
+    const handleApply = async () => {
+        setApplying(true);
+        await onApply(corrections);
+        setApplying(false);
+    };
+
+    const changed = report.some(r => (Number(corrections[r.cameraId]) || 0) !== (appliedCorrections[r.cameraId] || 0));
+
+    return (
+        <div className="bg-gray-800/50 border border-amber-700/50 rounded-lg p-4 space-y-3">
+            <div className="flex items-center justify-between">
+                <div>
+                    <h2 className="text-lg font-semibold text-white">Camera Clocks</h2>
+                    <p className="text-xs text-gray-400">
+                        Clock or time zone problems found in the camera metadata. A correction shifts every recording date of
+                        that camera, for the date groups, the timeline, multicam sync and the exports.
+                    </p>
+                </div>
+                <button
+                    onClick={handleApply}
+                    disabled={applying || !changed}
+                    className="px-3 py-1 rounded text-xs bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                >
+                    {applying ? 'Applying...' : 'Apply Corrections'}
+                </button>
+            </div>
+
+            {flagged.map(camera => (
+                <div key={camera.cameraId} className="border border-gray-700 rounded p-3 space-y-2 text-xs">
+                    <div className="flex items-center justify-between">
+                        <span className="text-sm text-white">
+                            {camera.model} {camera.cameraId}
+                            {camera.zone && <span className="ml-2 text-gray-400">UTC{camera.zone}</span>}
+                        </span>
+                        <span className="flex items-center space-x-1 text-gray-300">
+                            {camera.estimatedOffset !== 0 && (
+                                <button
+                                    onClick={() => setCorrection(camera.cameraId, camera.estimatedOffset)}
+                                    className="px-2 py-0.5 mr-2 rounded bg-gray-700 hover:bg-gray-600"
+                                    title="Use the estimated correction"
+                                >
+                                    Suggested {formatOffset(camera.estimatedOffset)}
+                                </button>
+                            )}
+                            <span className="text-gray-500">Correction</span>
+                            <input
+                                type="number"
+                                step="1"
+                                value={corrections[camera.cameraId] ?? 0}
+                                onChange={(e) => setCorrection(camera.cameraId, e.target.value)}
+                                className="w-24 px-1 py-0.5 rounded bg-gray-800 border border-gray-700 text-right text-white"
+                            />
+                            <span className="text-gray-500">s</span>
+                        </span>
+                    </div>
+                    <ul className="list-disc list-inside text-amber-200 space-y-0.5">
+                        {camera.issues.map(issue => <li key={issue.type}>{issue.message}</li>)}
+                    </ul>
+                    {appliedCorrections[camera.cameraId] ? (
+                        <p className="text-green-300">Dates shifted by {formatOffset(appliedCorrections[camera.cameraId])}</p>
+                    ) : null}
+                </div>
+            ))}
+        </div>
+    );
+}
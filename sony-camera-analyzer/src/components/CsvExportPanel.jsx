@@ -0,0 +1,103 @@
+import React, { useState, useEffect } from 'react';
+
+export default function CsvExportPanel({ onExport, busy }) {
+    const [catalogue, setCatalogue] = useState(null);
+    const [rowMode, setRowMode] = useState('clip');
+    const [format, setFormat] = useState('csv');
+    const [bom, setBom] = useState(true);
+    const [selected, setSelected] = useState({ clip: [], camera: [] });
+
+    useEffect(() => {
+        window.electronAPI.getReportColumns().then(columns => {
+            setCatalogue(columns);
+            setSelected(columns.defaults);
+        });
+    }, []);
+
+    if (!catalogue) return null;
+
+    const columns = catalogue[rowMode];
+    const chosen = selected[rowMode];
+    const labelOf = (id) => columns.find(c => c.id === id)?.label || id;
+    const setChosen = (ids) => setSelected(prev => ({ ...prev, [rowMode]: ids }));
+
+    const toggleColumn = (id) => {
+        setChosen(chosen.includes(id) ? chosen.filter(c => c !== id) : [...chosen, id]);
+    };
+
+    const moveColumn = (index, offset) => {
+        const target = index + offset;
+        if (target < 0 || target >= chosen.length) return;
+        const next = [...chosen];
+        [next[index], next[target]] = [next[target], next[index]];
+        setChosen(next);
+    };
+
+    return (
+        <div className="bg-gray-800/50 border border-gray-700 rounded-lg p-4 space-y-4">
+            <div>
+                <h2 className="text-lg font-semibold text-white">Export Table</h2>
+                <p className="text-xs text-gray-400">Pick the columns and their order. Values are quoted per RFC 4180, so paths with commas or quotes stay intact.</p>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-6 text-sm text-gray-300">
+                <label className="flex items-center space-x-2">
+                    <span>Rows</span>
+                    <select value={rowMode} onChange={(e) => setRowMode(e.target.value)} className="px-2 py-1 rounded bg-gray-900 border border-gray-700 text-xs text-white">
+                        <option value="clip">One per clip</option>
+                        <option value="camera">One per camera</option>
+                    </select>
+                </label>
+                <label className="flex items-center space-x-2">
+                    <span>Format</span>
+                    <select value={format} onChange={(e) => setFormat(e.target.value)} className="px-2 py-1 rounded bg-gray-900 border border-gray-700 text-xs text-white">
+                        <option value="csv">CSV (comma)</option>
+                        <option value="tsv">TSV (tab)</option>
+                    </select>
+                </label>
+                <label className="flex items-center space-x-2">
+                    <input type="checkbox" checked={bom} onChange={(e) => setBom(e.target.checked)} />
+                    <span>UTF-8 BOM (for Excel)</span>
+                </label>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-xs">
+                <div>
+                    <p className="text-gray-400 mb-1">Available columns</p>
+                    <div className="grid grid-cols-2 gap-1">
+                        {columns.map(column => (
+                            <label key={column.id} className="flex items-center space-x-2 text-gray-300">
+                                <input type="checkbox" checked={chosen.includes(column.id)} onChange={() => toggleColumn(column.id)} />
+                                <span>{column.label}</span>
+                            </label>
+                        ))}
+                    </div>
+                </div>
+                <div>
+                    <p className="text-gray-400 mb-1">Column order</p>
+                    <ol className="space-y-1">
+                        {chosen.map((id, index) => (
+                            <li key={id} className="flex items-center justify-between px-2 py-1 rounded bg-gray-900 text-gray-300">
+                                <span>{index + 1}. {labelOf(id)}</span>
+                                <span className="space-x-1">
+                                    <button onClick={() => moveColumn(index, -1)} disabled={index === 0} className="px-1.5 rounded bg-gray-700 hover:bg-gray-600 disabled:opacity-30">↑</button>
+                                    <button onClick={() => moveColumn(index, 1)} disabled={index === chosen.length - 1} className="px-1.5 rounded bg-gray-700 hover:bg-gray-600 disabled:opacity-30">↓</button>
+                                </span>
+                            </li>
+                        ))}
+                    </ol>
+                </div>
+            </div>
+
+            <div className="flex justify-end">
+                <button
+                    onClick={() => onExport(format, { rowMode, columns: chosen, bom })}
+                    disabled={busy || chosen.length === 0}
+                    className="px-4 py-2 bg-green-600 hover:bg-green-700 disabled:opacity-50 rounded text-sm font-medium"
+                >
+                    Export {format.toUpperCase()}
+                </button>
+            </div>
+        </div>
+    );
+}
@@ -1,6 +1,20 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import CameraCard from './CameraCard';
 import ProgressBar from './ProgressBar';
+import TimelineView from './TimelineView';
+import CardHealthPanel from './CardHealthPanel';
+import ClockPanel from './ClockPanel';
+import CsvExportPanel from './CsvExportPanel';
+import DuplicatesPanel from './DuplicatesPanel';
+import FilterBar from './FilterBar';
+import MulticamPanel from './MulticamPanel';
+import OffloadPanel from './OffloadPanel';
+import OrganizePanel from './OrganizePanel';
+import ThumbnailCachePanel from './ThumbnailCachePanel';
+import { EMPTY_FILTERS, filterResults, localDay } from '../clipFilters';
+
+// Default save names where the extension differs from the format name
+const EXPORT_FILENAMES = { xmeml: 'report.xml', multicam: 'multicam.fcpxml' };
 
 export default function Dashboard() {
     const [analyzing, setAnalyzing] = useState(false);
@@ -10,6 +24,19 @@ export default function Dashboard() {
     const [isDragging, setIsDragging] = useState(false);
 
     const [streamPort, setStreamPort] = useState(null);
+    const [mediaToken, setMediaToken] = useState(null);
+    const [fileTask, setFileTask] = useState(null); // 'hash' | 'offload' | 'organize' while running
+    const [hashAlgorithms, setHashAlgorithms] = useState(['xxh64']);
+    const [mhlStatus, setMhlStatus] = useState({});
+    const [offloadMode, setOffloadMode] = useState(false);
+    const [organizeMode, setOrganizeMode] = useState(false);
+    const [thumbnailCacheMode, setThumbnailCacheMode] = useState(false);
+    const [csvExportMode, setCsvExportMode] = useState(false);
+    const [clipView, setClipView] = useState('cards'); // 'cards' | 'timeline'
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [analyzedFolder, setAnalyzedFolder] = useState(null);
+    const [paused, setPaused] = useState(false);
+    const [cancelling, setCancelling] = useState(false);
 
     useEffect(() => {
         // Listen for progress updates
@@ -23,34 +50,61 @@ export default function Dashboard() {
                 console.log("Stream server port:", port);
                 setStreamPort(port);
             });
+            window.electronAPI.getMediaToken().then(setMediaToken);
 
             return cleanup;
         }
     }, []);
 
+    const runAnalysis = async (folderPath, options = {}) => {
+        setAnalyzing(true);
+        setPaused(false);
+        setCancelling(false);
+        setResults(null);
+        setFilters(EMPTY_FILTERS);
+        setError(null);
+        setAnalyzedFolder(folderPath);
+        try {
+            const response = await window.electronAPI.analyzeFootage(folderPath, options);
+            if (response.success) {
+                setResults(response.data);
+            } else {
+                setError(response.error);
+            }
+        } catch (err) {
+            setError(err.message);
+        }
+        setAnalyzing(false);
+    };
+
+    const handleTogglePause = async () => {
+        const response = paused
+            ? await window.electronAPI.resumeAnalysis()
+            : await window.electronAPI.pauseAnalysis();
+        if (response.success) setPaused(!paused);
+    };
+
+    // The run stops between files and still returns what it gathered so far
+    const handleCancel = async () => {
+        setCancelling(true);
+        setPaused(false);
+        await window.electronAPI.cancelAnalysis();
+    };
+
     const handleSelectFolder = async () => {
         try {
             const folderPath = await window.electronAPI.selectFolder();
             if (folderPath) {
-                setAnalyzing(true);
-                setResults(null);
-                setError(null);
-
-                const response = await window.electronAPI.analyzeFootage(folderPath);
-
-                if (response.success) {
-                    setResults(response.data);
-                } else {
-                    setError(response.error);
-                }
-                setAnalyzing(false);
+                await runAnalysis(folderPath);
             }
         } catch (err) {
             setError(err.message);
-            setAnalyzing(false);
         }
     };
 
+    // Ignore the analysis index and re-read every file
+    const handleFullRescan = () => runAnalysis(analyzedFolder, { forceRescan: true });
+
     const handleDragOver = (e) => {
         e.preventDefault();
         e.stopPropagation();
@@ -78,20 +132,7 @@ export default function Dashboard() {
 
             if (path) {
                 // Trigger analysis
-                setAnalyzing(true);
-                setResults(null);
-                setError(null);
-                try {
-                    const response = await window.electronAPI.analyzeFootage(path);
-                    if (response.success) {
-                        setResults(response.data);
-                    } else {
-                        setError(response.error);
-                    }
-                } catch (err) {
-                    setError(err.message);
-                }
-                setAnalyzing(false);
+                await runAnalysis(path);
             } else {
                 console.error("No path detected on dropped item");
                 setError("Could not detect folder path. Please try using the button.");
@@ -99,30 +140,87 @@ export default function Dashboard() {
         }
     };
 
-    const handleExport = async (format) => {
-        if (!results) return;
-
-        let content = '';
-        if (format === 'csv') {
-            // Generate CSV
-            content = 'Camera ID,Model,File Name,Folder,Size,Timestamp,Format\n';
-            results.cameras.forEach(cam => {
-                cam.files.forEach(f => {
-                    content += `${cam.id},${cam.model},${f.fileName},${f.filePath},${f.size},${f.created},${f.format}\n`;
-                });
-            });
-        } else {
-            // Simple HTML export for now
-            content = `<html><body><h1>Report</h1><p>Total Files: ${results.stats.totalFiles}</p></body></html>`;
+    // Long-running file operations share the progress bar with analysis
+    const runFileTask = async (step, task) => {
+        setFileTask(step);
+        setProgress({ progress: 0, message: 'Preparing...', step });
+        try {
+            return await task();
+        } catch (err) {
+            return { success: false, error: err.message };
+        } finally {
+            setFileTask(null);
         }
+    };
+
+    const runHashTask = async (card, task) => {
+        const status = await runFileTask('hash', task);
+        setMhlStatus(prev => ({ ...prev, [card.cardRoot]: status.success === false ? { error: status.error } : status }));
+    };
+
+    const handleCreateMhl = (card) => runHashTask(card, async () => {
+        const response = await window.electronAPI.createMhl({ root: card.cardRoot, algorithms: hashAlgorithms });
+        return response.success ? response.data : { error: response.error };
+    });
+
+    const handleVerifyCopy = async (card) => {
+        const copyRoot = await window.electronAPI.selectFolder();
+        if (!copyRoot) return;
+
+        await runHashTask(card, async () => {
+            const response = await window.electronAPI.verifyMhl({ copyRoot, manifestRoot: card.cardRoot });
+            return response.success ? { report: response.data } : { error: response.error };
+        });
+    };
+
+    const handleOffload = (options) => runFileTask('offload', () => window.electronAPI.offloadCards(options));
+
+    // What the stats, clip views and exports show: the results narrowed by the filter bar
+    const shownResults = useMemo(() => filterResults(results, filters), [results, filters]);
+
+    // Reports are rendered in the main process from the (filtered) results
+    const handleExport = async (format, options = {}) => {
+        if (!shownResults) return;
 
         await window.electronAPI.exportReport({
             format,
-            data: content,
-            filename: `report.${format}`
+            results: shownResults,
+            options,
+            filename: EXPORT_FILENAMES[format] || `report.${format}`
         });
     };
 
+    // FCPXML and xmeml are single files; EDLs are written one per camera
+    const handleNleExport = async (format) => {
+        if (!shownResults || !format) return;
+        if (format === 'edl') {
+            await window.electronAPI.exportEdl({ results: shownResults });
+        } else {
+            await handleExport(format);
+        }
+    };
+
+    const handleSaveCameraLabel = async (serial, fields) => {
+        if (!results) return;
+        const response = await window.electronAPI.setCameraLabel({ results, serial, ...fields });
+        if (response.success) {
+            setResults(response.data);
+        } else {
+            setError(response.error);
+        }
+    };
+
+    // Corrections are applied to the original dates, so each call replaces the previous set
+    const handleApplyClockCorrections = async (corrections) => {
+        if (!results) return;
+        const response = await window.electronAPI.applyClockCorrections({ results, corrections });
+        if (response.success) {
+            setResults(response.data);
+        } else {
+            setError(response.error);
+        }
+    };
+
     const groupResultsByDate = (cameras) => {
         const dates = {};
 
@@ -151,9 +249,10 @@ export default function Dashboard() {
                         day: 'numeric'
                     });
 
+                // Grouped by local day, like the date filter and the organizer's {date} folders
                 const sortKey = dateObj.getTime() === 0
                     ? "0000-00-00"
-                    : dateObj.toISOString().split('T')[0];
+                    : localDay(dateObj);
 
                 if (!dates[sortKey]) {
                     dates[sortKey] = {
@@ -184,7 +283,7 @@ export default function Dashboard() {
             }));
     };
 
-    const groupedResults = results ? groupResultsByDate(results.cameras) : [];
+    const groupedResults = shownResults ? groupResultsByDate(shownResults.cameras) : [];
 
     return (
         <div className="min-h-screen bg-slate-900 text-white p-8">
@@ -218,9 +317,27 @@ export default function Dashboard() {
                 </div>
             )}
 
-            {analyzing && (
+            {(analyzing || fileTask) && (
                 <div className="mt-8">
-                    <ProgressBar {...progress} />
+                    <ProgressBar {...progress} message={paused ? `Paused · ${progress.message}` : progress.message} />
+                    {analyzing && (
+                        <div className="mt-3 flex justify-center space-x-2">
+                            <button
+                                onClick={handleTogglePause}
+                                disabled={cancelling}
+                                className="px-4 py-1.5 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 rounded text-sm font-medium"
+                            >
+                                {paused ? 'Resume' : 'Pause'}
+                            </button>
+                            <button
+                                onClick={handleCancel}
+                                disabled={cancelling}
+                                className="px-4 py-1.5 bg-red-700 hover:bg-red-600 disabled:opacity-50 rounded text-sm font-medium"
+                            >
+                                {cancelling ? 'Cancelling…' : 'Cancel'}
+                            </button>
+                        </div>
+                    )}
                 </div>
             )}
 
@@ -232,19 +349,38 @@ export default function Dashboard() {
 
             {results && (
                 <div className="mt-8 space-y-8">
+                    <FilterBar
+                        results={results}
+                        filters={filters}
+                        onChange={setFilters}
+                        shownCount={shownResults.cameras.reduce((sum, camera) => sum + camera.files.length, 0)}
+                    />
+
                     {/* Stats Cards */}
                     <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
                         <div className="bg-gray-800 p-4 rounded-lg shadow">
                             <h3 className="text-gray-400 text-sm">Total Files</h3>
-                            <p className="text-2xl font-bold">{results.stats.totalFiles}</p>
+                            <p className="text-2xl font-bold">{shownResults.stats.totalFiles}</p>
+                            {shownResults.filtered ? (
+                                <p className="text-xs text-gray-500">of {results.stats.totalFiles} (filtered)</p>
+                            ) : results.stats.reusedFiles > 0 && (
+                                <p className="text-xs text-gray-500">{results.stats.reusedFiles} unchanged since last scan</p>
+                            )}
                         </div>
                         <div className="bg-gray-800 p-4 rounded-lg shadow">
                             <h3 className="text-gray-400 text-sm">Total Size</h3>
-                            <p className="text-2xl font-bold">{(results.stats.totalSize / (1024 * 1024 * 1024)).toFixed(2)} GB</p>
+                            <p className="text-2xl font-bold">{(shownResults.stats.totalSize / (1024 * 1024 * 1024)).toFixed(2)} GB</p>
+                            {shownResults.filtered ? (
+                                <p className="text-xs text-gray-500">of {(results.stats.totalSize / (1024 * 1024 * 1024)).toFixed(2)} GB (filtered)</p>
+                            ) : results.stats.diskSize > results.stats.totalSize && (
+                                <p className="text-xs text-gray-500">
+                                    {(results.stats.diskSize / (1024 * 1024 * 1024)).toFixed(2)} GB on disk incl. backups/duplicates
+                                </p>
+                            )}
                         </div>
                         <div className="bg-gray-800 p-4 rounded-lg shadow">
                             <h3 className="text-gray-400 text-sm">Cameras</h3>
-                            <p className="text-2xl font-bold">{results.cameras.length}</p>
+                            <p className="text-2xl font-bold">{shownResults.cameras.length}</p>
                         </div>
                         <div className="bg-gray-800 p-4 rounded-lg shadow">
                             <h3 className="text-gray-400 text-sm">Mixed Folders</h3>
@@ -254,26 +390,143 @@ export default function Dashboard() {
 
                     {/* Actions */}
                     <div className="flex justify-end space-x-4">
-                        <button onClick={() => handleExport('csv')} className="px-4 py-2 bg-green-600 hover:bg-green-700 rounded text-sm font-medium">Export CSV</button>
+                        <button
+                            onClick={() => setCsvExportMode(!csvExportMode)}
+                            className={`px-4 py-2 rounded text-sm font-medium ${csvExportMode ? 'bg-green-700 hover:bg-green-800' : 'bg-green-600 hover:bg-green-700'}`}
+                        >
+                            Export CSV
+                        </button>
+                        <button onClick={() => handleExport('xlsx')} className="px-4 py-2 bg-green-600 hover:bg-green-700 rounded text-sm font-medium">Export XLSX</button>
+                        <button onClick={() => handleExport('html')} className="px-4 py-2 bg-green-600 hover:bg-green-700 rounded text-sm font-medium">Export HTML</button>
+                        <select
+                            value=""
+                            onChange={(e) => handleNleExport(e.target.value)}
+                            className="px-3 py-2 bg-green-600 hover:bg-green-700 rounded text-sm font-medium text-white"
+                        >
+                            <option value="">Export for NLE…</option>
+                            <option value="fcpxml">FCPXML (Final Cut, Resolve)</option>
+                            <option value="xmeml">XML (Premiere, FCP 7)</option>
+                            <option value="edl">CMX3600 EDL per camera</option>
+                        </select>
+                        {results.cardHealth?.length > 0 && (
+                            <button
+                                onClick={() => setOffloadMode(!offloadMode)}
+                                className={`px-4 py-2 rounded text-sm font-medium ${offloadMode ? 'bg-blue-600 hover:bg-blue-700' : 'bg-gray-700 hover:bg-gray-600'}`}
+                            >
+                                Offload Mode
+                            </button>
+                        )}
+                        <button
+                            onClick={() => setOrganizeMode(!organizeMode)}
+                            className={`px-4 py-2 rounded text-sm font-medium ${organizeMode ? 'bg-blue-600 hover:bg-blue-700' : 'bg-gray-700 hover:bg-gray-600'}`}
+                        >
+                            Organize
+                        </button>
+                        <button
+                            onClick={() => setThumbnailCacheMode(!thumbnailCacheMode)}
+                            className={`px-4 py-2 rounded text-sm font-medium ${thumbnailCacheMode ? 'bg-blue-600 hover:bg-blue-700' : 'bg-gray-700 hover:bg-gray-600'}`}
+                        >
+                            Thumbnail Cache
+                        </button>
+                        <button
+                            onClick={handleFullRescan}
+                            disabled={!!fileTask}
+                            title="Re-read every file instead of reusing unchanged results from the analysis index"
+                            className="px-4 py-2 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 rounded text-sm font-medium"
+                        >
+                            Full Rescan
+                        </button>
                         <button onClick={handleSelectFolder} className="px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded text-sm font-medium">Analyze Another</button>
                     </div>
 
-                    {/* Date Groups */}
-                    <div className="space-y-8">
-                        {groupedResults.map((group, idx) => (
-                            <div key={idx} className="space-y-4">
-                                <div className="flex items-center space-x-4">
-                                    <h2 className="text-2xl font-bold text-white">{group.date}</h2>
-                                    <div className="h-px flex-1 bg-gray-700"></div>
-                                </div>
+                    {csvExportMode && <CsvExportPanel onExport={handleExport} busy={!!fileTask} />}
 
-                                {group.cameras.map(camera => (
-                                    <CameraCard key={camera.id} camera={camera} streamPort={streamPort} />
-                                ))}
-                            </div>
-                        ))}
+                    {thumbnailCacheMode && <ThumbnailCachePanel busy={!!fileTask} />}
+
+                    {organizeMode && (
+                        <OrganizePanel
+                            results={results}
+                            mixedFolderCount={results.mixedFolders.length}
+                            busy={!!fileTask}
+                            onRunTask={(task) => runFileTask('organize', task)}
+                        />
+                    )}
+
+                    {offloadMode && results.cardHealth?.length > 0 && (
+                        <OffloadPanel cards={results.cardHealth} busy={!!fileTask} onStart={handleOffload} />
+                    )}
+
+                    <CardHealthPanel
+                        cards={results.cardHealth}
+                        mhlStatus={mhlStatus}
+                        hashAlgorithms={hashAlgorithms}
+                        onHashAlgorithmsChange={setHashAlgorithms}
+                        onCreateMhl={handleCreateMhl}
+                        onVerifyCopy={handleVerifyCopy}
+                        busy={!!fileTask}
+                    />
+
+                    {results.cancelled && (
+                        <div className="p-4 bg-amber-900/30 border border-amber-700/50 rounded-lg text-amber-200 text-sm">
+                            Analysis was cancelled. Showing partial results; {results.stats.skippedFiles} file(s) were not processed.
+                        </div>
+                    )}
+
+                    <DuplicatesPanel groups={results.duplicateGroups} stats={results.stats} />
+
+                    <ClockPanel
+                        report={results.clockReport}
+                        appliedCorrections={results.clockCorrections}
+                        onApply={handleApplyClockCorrections}
+                    />
+
+                    {/* Remounted when clock corrections or filters change the groups */}
+                    <MulticamPanel
+                        key={JSON.stringify([results.clockCorrections || {}, filters])}
+                        results={shownResults}
+                        onExport={handleExport}
+                    />
+
+                    <div className="flex justify-end">
+                        <div className="inline-flex rounded overflow-hidden border border-gray-700 text-sm">
+                            {[['cards', 'By Date'], ['timeline', 'Timeline']].map(([view, label]) => (
+                                <button
+                                    key={view}
+                                    onClick={() => setClipView(view)}
+                                    className={`px-4 py-1.5 ${clipView === view ? 'bg-blue-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'}`}
+                                >
+                                    {label}
+                                </button>
+                            ))}
+                        </div>
                     </div>
 
+                    {clipView === 'timeline' ? (
+                        <TimelineView cameras={shownResults.cameras} streamPort={streamPort} mediaToken={mediaToken} />
+                    ) : (
+                        /* Date Groups */
+                        <div className="space-y-8">
+                            {groupedResults.map((group, idx) => (
+                                <div key={idx} className="space-y-4">
+                                    <div className="flex items-center space-x-4">
+                                        <h2 className="text-2xl font-bold text-white">{group.date}</h2>
+                                        <div className="h-px flex-1 bg-gray-700"></div>
+                                    </div>
+
+                                    {group.cameras.map(camera => (
+                                        <CameraCard key={camera.id} camera={camera} streamPort={streamPort} mediaToken={mediaToken} onSaveLabel={handleSaveCameraLabel} />
+                                    ))}
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
+                    {results.stats.metadataConflicts > 0 && (
+                        <div className="p-4 bg-amber-900/30 border border-amber-700/50 rounded-lg text-amber-200 text-sm">
+                            {results.stats.metadataConflicts} clip(s) have metadata that disagrees between MEDIAPRO.XML and exiftool. Look for the <span className="font-semibold">XML ≠ EXIF</span> badge.
+                        </div>
+                    )}
+
                     {results.unknownFiles.length > 0 && (
                         <div className="mt-8">
                             <h2 className="text-xl font-semibold text-gray-200 mb-4">Unknown Files ({results.unknownFiles.length})</h2>
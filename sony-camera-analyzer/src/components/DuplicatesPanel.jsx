@@ -0,0 +1,64 @@
+import React, { useState } from 'react';
+
+const formatSize = (bytes) => `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+
+const KIND_STYLES = {
+    backup: 'text-teal-300',
+    duplicate: 'text-red-300'
+};
+
+export default function DuplicatesPanel({ groups, stats }) {
+    const [expanded, setExpanded] = useState(false);
+
+    if (!groups || groups.length === 0) return null;
+
+    return (
+        <div className="bg-gray-800/50 border border-gray-700 rounded-lg p-4 space-y-3">
+            <div className="flex items-center justify-between">
+                <div>
+                    <h2 className="text-lg font-semibold text-white">Clips Stored More Than Once ({groups.length})</h2>
+                    <p className="text-xs text-gray-400">
+                        {stats.backupFiles} slot-B backup(s) ({formatSize(stats.backupSize)}) and {stats.duplicateFiles} real duplicate(s) ({formatSize(stats.duplicateSize)}).
+                        Each clip is counted once in the totals above.
+                    </p>
+                </div>
+                <button
+                    onClick={() => setExpanded(!expanded)}
+                    className="px-3 py-1 rounded text-xs bg-gray-700 hover:bg-gray-600"
+                >
+                    {expanded ? 'Hide' : 'Show'}
+                </button>
+            </div>
+
+            {expanded && (
+                <div className="max-h-96 overflow-y-auto border border-gray-700 rounded">
+                    <table className="w-full text-xs text-left">
+                        <thead className="text-gray-400 bg-gray-900/50">
+                            <tr>
+                                <th className="px-2 py-1">Clip</th>
+                                <th className="px-2 py-1">Matched by</th>
+                                <th className="px-2 py-1">Copies</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {groups.map(group => (
+                                <tr key={group.key} className="border-b border-gray-800 align-top">
+                                    <td className="px-2 py-1 text-white" title={group.primary}>{group.fileName}</td>
+                                    <td className="px-2 py-1 text-gray-400">{group.matchedBy === 'umid' ? 'UMID' : 'Size + content'}</td>
+                                    <td className="px-2 py-1 font-mono">
+                                        <div className="text-gray-400">{group.primary}</div>
+                                        {group.copies.map(copy => (
+                                            <div key={copy.filePath} className={KIND_STYLES[copy.kind]}>
+                                                {copy.kind}: {copy.filePath}
+                                            </div>
+                                        ))}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { EMPTY_FILTERS, RESOLUTION_CLASSES, filterOptions, isFilterActive } from '../clipFilters';
+
+const inputClass = 'px-2 py-1 rounded bg-gray-900 border border-gray-700 text-xs text-white';
+
+function Select({ label, value, onChange, options }) {
+    return (
+        <label className="flex flex-col text-xs text-gray-400">
+            {label}
+            <select value={value} onChange={(e) => onChange(e.target.value)} className={`mt-1 ${inputClass}`}>
+                <option value="">All</option>
+                {options.map(([optionValue, optionLabel]) => (
+                    <option key={optionValue} value={optionValue}>{optionLabel}</option>
+                ))}
+            </select>
+        </label>
+    );
+}
+
+function Range({ label, unit, min, max, onMinChange, onMaxChange }) {
+    return (
+        <label className="flex flex-col text-xs text-gray-400">
+            {label} ({unit})
+            <span className="mt-1 flex items-center space-x-1">
+                <input type="number" min="0" value={min} onChange={(e) => onMinChange(e.target.value)} placeholder="min" className={`w-20 ${inputClass}`} />
+                <span>–</span>
+                <input type="number" min="0" value={max} onChange={(e) => onMaxChange(e.target.value)} placeholder="max" className={`w-20 ${inputClass}`} />
+            </span>
+        </label>
+    );
+}
+
+export default function FilterBar({ results, filters, onChange, shownCount }) {
+    const [expanded, setExpanded] = useState(false);
+    const options = filterOptions(results);
+    const totalCount = results.cameras.reduce((sum, camera) => sum + camera.files.length, 0);
+    const set = (key) => (value) => onChange({ ...filters, [key]: value });
+    const active = isFilterActive(filters);
+
+    return (
+        <div className="bg-gray-800/50 border border-gray-700 rounded-lg p-4 space-y-3">
+            <div className="flex items-center space-x-3">
+                <input
+                    type="search"
+                    value={filters.search}
+                    onChange={(e) => set('search')(e.target.value)}
+                    placeholder="Search file names and paths..."
+                    className="flex-1 px-3 py-1.5 rounded bg-gray-900 border border-gray-700 text-sm text-white"
+                />
+                <span className="text-xs text-gray-400 whitespace-nowrap">
+                    {active ? `${shownCount} of ${totalCount} clips` : `${totalCount} clips`}
+                </span>
+                <button
+                    onClick={() => setExpanded(!expanded)}
+                    className="px-3 py-1 rounded text-xs bg-gray-700 hover:bg-gray-600"
+                >
+                    {expanded ? 'Fewer Filters' : 'More Filters'}
+                </button>
+                {active && (
+                    <button
+                        onClick={() => onChange(EMPTY_FILTERS)}
+                        className="px-3 py-1 rounded text-xs bg-gray-700 hover:bg-gray-600"
+                    >
+                        Clear
+                    </button>
+                )}
+            </div>
+
+            {expanded && (
+                <div className="flex flex-wrap gap-4">
+                    <label className="flex flex-col text-xs text-gray-400">
+                        Recorded
+                        <span className="mt-1 flex items-center space-x-1">
+                            <input type="date" value={filters.dateFrom} onChange={(e) => set('dateFrom')(e.target.value)} className={inputClass} />
+                            <span>–</span>
+                            <input type="date" value={filters.dateTo} onChange={(e) => set('dateTo')(e.target.value)} className={inputClass} />
+                        </span>
+                    </label>
+                    <Select label="Camera" value={filters.camera} onChange={set('camera')} options={options.cameras.map(c => [c.id, c.name])} />
+                    <Select label="Model" value={filters.model} onChange={set('model')} options={options.models.map(m => [m, m])} />
+                    <Select label="Format" value={filters.format} onChange={set('format')} options={options.formats.map(f => [f, f])} />
+                    <Select label="Resolution" value={filters.resolution} onChange={set('resolution')} options={RESOLUTION_CLASSES.map(r => [r, r])} />
+                    <Select label="Frame rate" value={filters.frameRate} onChange={set('frameRate')} options={options.frameRates.map(r => [String(r), `${r} fps`])} />
+                    <Select label="S&Q" value={filters.slowMotion} onChange={set('slowMotion')} options={[['only', 'S&Q only'], ['exclude', 'No S&Q']]} />
+                    <Select label="Clip type" value={filters.kind} onChange={set('kind')} options={[['main', 'Main clips'], ['proxy', 'Proxies']]} />
+                    <Range
+                        label="Size"
+                        unit="MB"
+                        min={filters.minSizeMB}
+                        max={filters.maxSizeMB}
+                        onMinChange={set('minSizeMB')}
+                        onMaxChange={set('maxSizeMB')}
+                    />
+                    <Range
+                        label="Duration"
+                        unit="s"
+                        min={filters.minDuration}
+                        max={filters.maxDuration}
+                        onMinChange={set('minDuration')}
+                        onMaxChange={set('maxDuration')}
+                    />
+                </div>
+            )}
+
+            {active && (
+                <p className="text-xs text-gray-500">Stats, clip views and exports below only include the clips that match.</p>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,206 @@
+import React, { useState, useEffect, useRef } from 'react';
+import Hls from 'hls.js';
+import { mediaUrl } from '../mediaUrls';
+
+// Smart playback: a main clip plays its proxy (S03) when the camera has one
+function resolvePlayback(file, cameraFiles) {
+    const baseName = file.fileName.substring(0, file.fileName.lastIndexOf('.'));
+    const ext = file.fileName.substring(file.fileName.lastIndexOf('.'));
+
+    // Check if we are already a proxy
+    if (!baseName.endsWith('S03')) {
+        const proxyName = `${baseName}S03${ext}`;
+        const proxyFile = cameraFiles.find(f => f.fileName === proxyName);
+        if (proxyFile) {
+            return { filePath: proxyFile.filePath, isProxy: true };
+        }
+    }
+    return { filePath: file.filePath, isProxy: false };
+}
+
+const formatClock = (seconds) => {
+    const total = Math.floor(seconds || 0);
+    const m = Math.floor(total / 60);
+    const s = total % 60;
+    return `${m}:${String(s).padStart(2, '0')}`;
+};
+
+export default function MediaModal({ file, cameraFiles, streamPort, mediaToken, onClose }) {
+    const [playbackError, setPlaybackError] = useState(false);
+    // { mode: 'direct' | 'transcode', duration, reason } from the stream server
+    const [probe, setProbe] = useState(null);
+    // Transcoded streams cannot seek; scrubbing restarts the transcode at `start`
+    const [start, setStart] = useState(0);
+    const [position, setPosition] = useState(0);
+    const [scrubbing, setScrubbing] = useState(false);
+    const videoRef = useRef(null);
+
+    const media = {
+        src: file.thumbnailPath ? mediaUrl(file.thumbnailPath, mediaToken) : null,
+        name: file.fileName,
+        type: 'video',
+        ...resolvePlayback(file, cameraFiles)
+    };
+
+    // Reset error if stream port becomes available (retry playback)
+    React.useEffect(() => {
+        if (streamPort && playbackError) {
+            setPlaybackError(false);
+        }
+    }, [streamPort]);
+
+    useEffect(() => {
+        if (!streamPort || !mediaToken) return;
+        let cancelled = false;
+        fetch(`http://127.0.0.1:${streamPort}/probe?file=${encodeURIComponent(media.filePath)}&token=${mediaToken}`)
+            .then(response => response.json())
+            .then(data => {
+                if (!cancelled) setProbe(data.mode ? data : { mode: 'direct' });
+            })
+            .catch(() => {
+                if (!cancelled) setProbe({ mode: 'direct' });
+            });
+        return () => { cancelled = true; };
+    }, [streamPort, mediaToken, media.filePath]);
+
+    const transcoding = probe?.mode === 'transcode';
+    // Transcoded clips play over HLS (seekable, segments cached by the server); the start-time stream is the fallback
+    const playHls = transcoding && Hls.isSupported();
+
+    useEffect(() => {
+        if (!playHls || !videoRef.current) return;
+        const hls = new Hls();
+        hls.on(Hls.Events.ERROR, (event, data) => {
+            if (!data.fatal) return;
+            console.error('HLS playback error:', data.details);
+            if (window.electronAPI) {
+                window.electronAPI.logError(`HLS playback error for ${media.filePath}: ${data.details}`);
+            }
+            setPlaybackError(`Preview stream failed (${data.details})`);
+        });
+        hls.loadSource(`http://127.0.0.1:${streamPort}/hls/index.m3u8?file=${encodeURIComponent(media.filePath)}&token=${mediaToken}`);
+        hls.attachMedia(videoRef.current);
+        return () => hls.destroy();
+    }, [playHls, streamPort, mediaToken, media.filePath]);
+
+    // Both the stream server and media:// refuse requests without the session's media token
+    const getStreamUrl = (filePath) => {
+        if (streamPort) {
+            const url = `http://127.0.0.1:${streamPort}/stream?file=${encodeURIComponent(filePath)}&token=${mediaToken}`;
+            return transcoding && start > 0 ? `${url}&start=${start}` : url;
+        }
+        return mediaUrl(filePath, mediaToken);
+    };
+
+    const seekTo = (seconds) => {
+        setScrubbing(false);
+        setStart(seconds);
+        setPosition(seconds);
+    };
+
+    return (
+        <div
+            className="fixed inset-0 z-50 flex items-center justify-center bg-black/90 backdrop-blur-sm p-4"
+            onClick={onClose}
+        >
+            <div className="max-w-6xl w-full max-h-[90vh] relative flex flex-col items-center" onClick={e => e.stopPropagation()}>
+                <div className="relative w-full aspect-video bg-black rounded-lg overflow-hidden shadow-2xl border border-gray-700 flex items-center justify-center">
+                    {streamPort && !probe && !playbackError ? (
+                        <span className="text-sm text-gray-400">Preparing playback...</span>
+                    ) : !playbackError ? (
+                        <video
+                            ref={videoRef}
+                            key={playHls ? 'hls' : transcoding ? start : 'direct'}
+                            src={playHls ? undefined : getStreamUrl(media.filePath)}
+                            controls
+                            autoPlay
+                            className="w-full h-full"
+                            crossOrigin="anonymous"
+                            onTimeUpdate={(e) => {
+                                if (transcoding && !playHls && !scrubbing) setPosition(start + e.target.currentTime);
+                            }}
+                            onError={(e) => {
+                                const msg = e.target.error ? e.target.error.message : 'Unknown Error';
+                                console.error("Video playback error:", msg);
+                                if (window.electronAPI) {
+                                    window.electronAPI.logError(`Video playback error for ${media.filePath}: ${msg}`);
+                                }
+                                setPlaybackError(msg);
+                            }}
+                        />
+                    ) : (
+                        <div className="relative w-full h-full">
+                            <img
+                                src={media.src}
+                                alt="Preview"
+                                className="w-full h-full object-contain"
+                            />
+                            <div className="absolute inset-0 flex items-center justify-center bg-black/50">
+                                <div className="bg-red-900/90 text-white px-6 py-4 rounded-lg border border-red-500/50 backdrop-blur-sm flex flex-col items-center space-y-2 max-w-md text-center">
+                                    <svg className="w-8 h-8 text-red-300" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
+                                    </svg>
+                                    <span className="font-bold text-lg">Playback Failed</span>
+                                    <span className="text-sm text-red-200">{typeof playbackError === 'string' ? playbackError : 'Format not supported'}</span>
+                                    <span className="text-xs text-gray-400 mt-2">Try checking if a proxy file exists for this clip.</span>
+                                </div>
+                            </div>
+                        </div>
+                    )}
+
+                    {transcoding && !playbackError && (
+                        <div className="absolute top-4 right-4 px-2 py-1 bg-amber-900/80 text-amber-300 text-xs font-bold rounded border border-amber-700/50 backdrop-blur-sm" title={probe.reason}>
+                            TRANSCODED PREVIEW
+                        </div>
+                    )}
+
+                    {media.isProxy && !playbackError && (
+                        <div className="absolute top-4 left-4 px-2 py-1 bg-green-900/80 text-green-300 text-xs font-bold rounded border border-green-700/50 backdrop-blur-sm">
+                            PLAYING PROXY
+                        </div>
+                    )}
+                </div>
+                {transcoding && !playHls && probe.duration > 0 && !playbackError && (
+                    <div className="mt-3 flex items-center w-full px-4 space-x-3 text-xs text-gray-400">
+                        <span className="font-mono">{formatClock(position)}</span>
+                        <input
+                            type="range"
+                            min="0"
+                            max={probe.duration}
+                            step="0.1"
+                            value={Math.min(position, probe.duration)}
+                            onChange={(e) => {
+                                setScrubbing(true);
+                                setPosition(Number(e.target.value));
+                            }}
+                            onPointerUp={(e) => seekTo(Number(e.target.value))}
+                            onKeyUp={(e) => seekTo(Number(e.target.value))}
+                            className="flex-1"
+                        />
+                        <span className="font-mono">{formatClock(probe.duration)}</span>
+                    </div>
+                )}
+                <div className="mt-4 flex items-center justify-between w-full px-4">
+                    <div className="flex flex-col">
+                        <p className="text-white font-medium text-lg">{media.name}</p>
+                        {media.isProxy && <p className="text-gray-400 text-xs">Using proxy file for playback</p>}
+                    </div>
+                    <button
+                        className="text-gray-400 hover:text-white transition-colors"
+                        onClick={onClose}
+                    >
+                        Close (Esc)
+                    </button>
+                </div>
+                <button
+                    className="absolute -top-12 right-0 text-white hover:text-gray-300"
+                    onClick={onClose}
+                >
+                    <svg className="w-8 h-8" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                    </svg>
+                </button>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,128 @@
+import React, { useState, useEffect } from 'react';
+
+const SOURCE_STYLES = {
+    timecode: 'bg-blue-500/80 border-blue-300',
+    date: 'bg-amber-500/80 border-amber-300'
+};
+
+const formatDuration = (seconds) => {
+    const total = Math.round(seconds);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = total % 60;
+    return h > 0 ? `${h}h ${m}m ${s}s` : `${m}m ${s}s`;
+};
+
+function SyncGroup({ group }) {
+    return (
+        <div className="border border-gray-700 rounded p-3 space-y-2">
+            <div className="flex items-center justify-between text-sm">
+                <span className="font-medium text-white">{group.name}</span>
+                <span className="text-xs text-gray-400">
+                    {new Date(group.start).toLocaleString()} · {formatDuration(group.duration)} · {group.cameras.length} cameras
+                </span>
+            </div>
+            {group.cameras.map(camera => (
+                <div key={camera.cameraId} className="flex items-center space-x-3 text-xs">
+                    <span className="w-48 truncate text-gray-300" title={`${camera.model} ${camera.cameraId}`}>{camera.label || `${camera.model} ${camera.cameraId}`}</span>
+                    <div className="relative flex-1 h-5 bg-gray-900 rounded">
+                        {camera.clips.map(clip => (
+                            <div
+                                key={clip.filePath}
+                                title={`${clip.fileName} · +${clip.offset.toFixed(2)}s · ${formatDuration(clip.duration)} · synced by ${clip.source}`}
+                                className={`absolute top-0.5 bottom-0.5 rounded border ${SOURCE_STYLES[clip.source]}`}
+                                style={{
+                                    left: `${(clip.offset / group.duration) * 100}%`,
+                                    width: `${Math.max((clip.duration / group.duration) * 100, 0.5)}%`
+                                }}
+                            />
+                        ))}
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+}
+
+export default function MulticamPanel({ results, onExport }) {
+    const [offsets, setOffsets] = useState({});
+    const [groups, setGroups] = useState(results.syncGroups || []);
+    const [expanded, setExpanded] = useState(false);
+    const [error, setError] = useState(null);
+
+    // Regroup in the main process whenever an offset changes
+    useEffect(() => {
+        if (Object.keys(offsets).length === 0) return;
+        window.electronAPI.findSyncGroups({ results, offsets }).then(response => {
+            if (response.success) {
+                setGroups(response.data);
+                setError(null);
+            } else {
+                setError(response.error);
+            }
+        });
+    }, [results, offsets]);
+
+    if (results.cameras.length < 2) return null;
+
+    const setOffset = (cameraId, value) => {
+        setOffsets(prev => ({ ...prev, [cameraId]: value === '' ? 0 : Number(value) }));
+    };
+
+    return (
+        <div className="bg-gray-800/50 border border-gray-700 rounded-lg p-4 space-y-3">
+            <div className="flex items-center justify-between">
+                <div>
+                    <h2 className="text-lg font-semibold text-white">Multicam Sync Groups ({groups.length})</h2>
+                    <p className="text-xs text-gray-400">
+                        Overlapping clips from different cameras, aligned by LTC timecode
+                        (<span className="text-blue-300">blue</span>) or by recording date
+                        (<span className="text-amber-300">amber</span>) when a clip has no timecode.
+                    </p>
+                </div>
+                <div className="flex items-center space-x-2">
+                    <button
+                        onClick={() => onExport('multicam', { offsets })}
+                        disabled={groups.length === 0}
+                        className="px-3 py-1 rounded text-xs bg-green-600 hover:bg-green-700 disabled:opacity-50"
+                    >
+                        Export Multicam FCPXML
+                    </button>
+                    <button
+                        onClick={() => setExpanded(!expanded)}
+                        className="px-3 py-1 rounded text-xs bg-gray-700 hover:bg-gray-600"
+                    >
+                        {expanded ? 'Hide' : 'Show'}
+                    </button>
+                </div>
+            </div>
+
+            {expanded && (
+                <>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-2 text-xs">
+                        {results.cameras.map(camera => (
+                            <label key={camera.id} className="flex items-center justify-between px-2 py-1 rounded bg-gray-900 text-gray-300">
+                                <span className="truncate">{camera.label || `${camera.model} ${camera.id}`}</span>
+                                <span className="flex items-center space-x-1">
+                                    <span className="text-gray-500">Offset</span>
+                                    <input
+                                        type="number"
+                                        step="0.04"
+                                        value={offsets[camera.id] ?? 0}
+                                        onChange={(e) => setOffset(camera.id, e.target.value)}
+                                        className="w-24 px-1 py-0.5 rounded bg-gray-800 border border-gray-700 text-right text-white"
+                                    />
+                                    <span className="text-gray-500">s</span>
+                                </span>
+                            </label>
+                        ))}
+                    </div>
+                    {error && <p className="text-xs text-red-300">{error}</p>}
+                    {groups.length === 0
+                        ? <p className="text-xs text-gray-400">No clips from different cameras overlap. Adjust a camera's offset if its clock was off.</p>
+                        : groups.map(group => <SyncGroup key={group.id} group={group} />)}
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+
+const DEFAULT_FOLDER_TEMPLATE = '{model}_{serial}/{card}';
+
+export default function OffloadPanel({ cards, busy, onStart }) {
+    const [selected, setSelected] = useState(() => cards.map(c => c.cardRoot));
+    const [destinations, setDestinations] = useState([]);
+    const [folderTemplate, setFolderTemplate] = useState(DEFAULT_FOLDER_TEMPLATE);
+    const [result, setResult] = useState(null);
+
+    const toggleCard = (cardRoot) => {
+        setSelected(prev => prev.includes(cardRoot) ? prev.filter(c => c !== cardRoot) : [...prev, cardRoot]);
+    };
+
+    const handleAddDestination = async () => {
+        const folder = await window.electronAPI.selectFolder();
+        if (folder && !destinations.includes(folder)) {
+            setDestinations([...destinations, folder]);
+        }
+    };
+
+    const handleStart = async () => {
+        setResult(null);
+        const response = await onStart({
+            cards: cards
+                .filter(c => selected.includes(c.cardRoot))
+                .map(({ card, cardRoot, model, serialNumber }) => ({ card, cardRoot, model, serialNumber })),
+            destinations,
+            folderTemplate
+        });
+        setResult(response);
+    };
+
+    return (
+        <div className="bg-gray-800/50 border border-gray-700 rounded-lg p-4 space-y-4">
+            <div>
+                <h2 className="text-lg font-semibold text-white">Offload Cards</h2>
+                <p className="text-xs text-gray-400">
+                    Copies each card to every destination, verifies each copy with xxHash64 and can resume an interrupted job. Source cards are only read.
+                </p>
+            </div>
+
+            <div className="space-y-1">
+                {cards.map(card => (
+                    <label key={card.cardRoot} className="flex items-center space-x-2 text-sm text-gray-300">
+                        <input type="checkbox" checked={selected.includes(card.cardRoot)} onChange={() => toggleCard(card.cardRoot)} />
+                        <span className="font-medium text-white">{card.card}</span>
+                        <span className="text-xs text-gray-500">{card.model} · S/N {card.serialNumber}</span>
+                    </label>
+                ))}
+            </div>
+
+            <div className="space-y-2">
+                <div className="flex items-center justify-between">
+                    <span className="text-sm text-gray-300">Destinations</span>
+                    <button onClick={handleAddDestination} className="px-2 py-1 rounded text-xs bg-gray-700 hover:bg-gray-600">Add Destination</button>
+                </div>
+                {destinations.length === 0 && <p className="text-xs text-gray-500">No destination selected.</p>}
+                {destinations.map(dest => (
+                    <div key={dest} className="flex items-center justify-between text-xs font-mono text-gray-400">
+                        <span>{dest}</span>
+                        <button onClick={() => setDestinations(destinations.filter(d => d !== dest))} className="text-red-400 hover:text-red-300">Remove</button>
+                    </div>
+                ))}
+            </div>
+
+            <label className="block text-sm text-gray-300">
+                Folder name template
+                <input
+                    value={folderTemplate}
+                    onChange={(e) => setFolderTemplate(e.target.value)}
+                    className="mt-1 w-full px-2 py-1 rounded bg-gray-900 border border-gray-700 font-mono text-xs text-white"
+                />
+                <span className="text-xs text-gray-500">Tokens: {'{card}'} {'{model}'} {'{serial}'} {'{date}'}</span>
+            </label>
+
+            <div className="flex justify-end">
+                <button
+                    onClick={handleStart}
+                    disabled={busy || selected.length === 0 || destinations.length === 0}
+                    className="px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 rounded text-sm font-medium"
+                >
+                    Start Offload
+                </button>
+            </div>
+
+            {result && !result.success && (
+                <p className="text-sm text-red-300">Offload failed: {result.error}</p>
+            )}
+            {result && result.success && (
+                <div className="text-xs space-y-1">
+                    <p className={result.data.failedCount > 0 ? 'text-red-300' : 'text-green-300'}>
+                        Job {result.data.jobId} finished with {result.data.failedCount} failure(s).
+                    </p>
+                    {result.data.cards.map(card => card.destinations.map(dest => (
+                        <div key={dest.destCardRoot} className="text-gray-400">
+                            <span className="font-mono">{dest.destCardRoot}</span>: {dest.copied} copied, {dest.skipped} already verified, {dest.failed.length} failed
+                            {dest.failed.map(f => <p key={f.path} className="ml-4 text-red-300">✗ {f.path}: {f.error}</p>)}
+                        </div>
+                    )))}
+                    <p className="text-gray-500">Transcript: {result.data.transcriptPaths.join(', ')}</p>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,172 @@
+import React, { useState } from 'react';
+
+const DEFAULT_TEMPLATE = '{date}/{camera}';
+
+const STATUS_STYLES = {
+    pending: 'text-green-300',
+    conflict: 'text-red-300',
+    unchanged: 'text-gray-500',
+    skipped: 'text-yellow-300'
+};
+
+export default function OrganizePanel({ results, mixedFolderCount, busy, onRunTask }) {
+    const [targetRoot, setTargetRoot] = useState('');
+    const [template, setTemplate] = useState(DEFAULT_TEMPLATE);
+    const [mode, setMode] = useState('link');
+    const [plan, setPlan] = useState(null);
+    const [journals, setJournals] = useState([]);
+    const [message, setMessage] = useState(null);
+
+    const refreshJournals = async (root) => {
+        if (!root) return;
+        setJournals(await window.electronAPI.listOrganizeJournals(root));
+    };
+
+    const handleSelectTarget = async () => {
+        const folder = await window.electronAPI.selectFolder();
+        if (folder) {
+            setTargetRoot(folder);
+            setPlan(null);
+            await refreshJournals(folder);
+        }
+    };
+
+    const handlePreview = async () => {
+        setMessage(null);
+        const response = await window.electronAPI.buildOrganizePlan({ results, options: { targetRoot, template, mode } });
+        if (response.success) {
+            setPlan(response.data);
+        } else {
+            setMessage({ error: true, text: response.error });
+        }
+    };
+
+    const handleExecute = async () => {
+        const response = await onRunTask(() => window.electronAPI.executeOrganizePlan(plan));
+        if (response.success) {
+            setMessage({
+                error: response.data.failed.length > 0,
+                text: `${response.data.done} file(s) ${mode === 'link' ? 'linked' : 'moved'}, ${response.data.failed.length} failed. Re-analyze to see the new layout.`
+            });
+            setPlan(null);
+        } else {
+            setMessage({ error: true, text: response.error });
+        }
+        await refreshJournals(targetRoot);
+    };
+
+    const handleUndo = async (journalPath) => {
+        const response = await onRunTask(() => window.electronAPI.undoOrganize(journalPath));
+        setMessage(response.success
+            ? { error: response.data.failed.length > 0, text: `${response.data.restored} file(s) restored, ${response.data.failed.length} could not be restored.` }
+            : { error: true, text: response.error });
+        await refreshJournals(targetRoot);
+    };
+
+    const relative = (filePath) => filePath.startsWith(targetRoot) ? `…${filePath.slice(targetRoot.length)}` : filePath;
+
+    return (
+        <div className="bg-gray-800/50 border border-gray-700 rounded-lg p-4 space-y-4">
+            <div>
+                <h2 className="text-lg font-semibold text-white">Organize by Camera</h2>
+                <p className="text-xs text-gray-400">
+                    {mixedFolderCount > 0 ? `${mixedFolderCount} mixed folder(s) found. ` : ''}
+                    Moves or hard-links clips with their proxies, thumbnails and M01 sidecars into one folder per camera. Review the plan before anything is changed; every run can be undone.
+                </p>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm text-gray-300">
+                <div>
+                    <span>Target folder</span>
+                    <div className="mt-1 flex items-center space-x-2">
+                        <button onClick={handleSelectTarget} className="px-2 py-1 rounded text-xs bg-gray-700 hover:bg-gray-600">Choose…</button>
+                        <span className="text-xs font-mono text-gray-400 truncate" title={targetRoot}>{targetRoot || 'Not selected'}</span>
+                    </div>
+                </div>
+                <label>
+                    Folder template
+                    <input
+                        value={template}
+                        onChange={(e) => { setTemplate(e.target.value); setPlan(null); }}
+                        className="mt-1 w-full px-2 py-1 rounded bg-gray-900 border border-gray-700 font-mono text-xs text-white"
+                    />
+                    <span className="text-xs text-gray-500">Tokens: {'{date}'} {'{camera}'} {'{model}'} {'{serial}'} {'{card}'}</span>
+                </label>
+                <label>
+                    Mode
+                    <select
+                        value={mode}
+                        onChange={(e) => { setMode(e.target.value); setPlan(null); }}
+                        className="mt-1 w-full px-2 py-1 rounded bg-gray-900 border border-gray-700 text-xs text-white"
+                    >
+                        <option value="link">Hard-link (originals stay in place)</option>
+                        <option value="move">Move</option>
+                    </select>
+                </label>
+            </div>
+
+            <div className="flex justify-end space-x-2">
+                <button
+                    onClick={handlePreview}
+                    disabled={busy || !targetRoot}
+                    className="px-4 py-2 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 rounded text-sm font-medium"
+                >
+                    Preview Plan
+                </button>
+                <button
+                    onClick={handleExecute}
+                    disabled={busy || !plan || !plan.summary.pending}
+                    className="px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 rounded text-sm font-medium"
+                >
+                    Execute {plan?.summary.pending ? `(${plan.summary.pending})` : ''}
+                </button>
+            </div>
+
+            {message && (
+                <p className={`text-sm ${message.error ? 'text-red-300' : 'text-green-300'}`}>{message.text}</p>
+            )}
+
+            {plan && (
+                <div className="space-y-2">
+                    <p className="text-xs text-gray-400">
+                        Dry run: {plan.summary.pending || 0} to {plan.mode}, {plan.summary.conflict || 0} conflict(s), {plan.summary.unchanged || 0} already in place, {plan.summary.skipped || 0} backup/duplicate(s) skipped.
+                    </p>
+                    <div className="max-h-96 overflow-y-auto border border-gray-700 rounded">
+                        <table className="w-full text-xs text-left font-mono">
+                            <tbody>
+                                {plan.operations.map(op => (
+                                    <tr key={op.from} className="border-b border-gray-800" title={op.reason}>
+                                        <td className={`px-2 py-1 uppercase ${STATUS_STYLES[op.status]}`}>{op.status}</td>
+                                        <td className="px-2 py-1 text-gray-500">{op.kind}</td>
+                                        <td className="px-2 py-1 text-red-300/80">− {op.from}</td>
+                                        <td className="px-2 py-1 text-green-300/80">{op.to ? `+ ${relative(op.to)}` : <span className="text-gray-500">{op.reason}</span>}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+
+            {journals.length > 0 && (
+                <div className="space-y-1 text-xs">
+                    <p className="text-gray-300">Previous runs in this folder</p>
+                    {journals.map(j => (
+                        <div key={j.journalPath} className="flex items-center justify-between text-gray-400">
+                            <span>{new Date(j.createdAt).toLocaleString()} · {j.mode} · {j.entryCount} file(s){j.undoneAt ? ' · undone' : ''}</span>
+                            {!j.undoneAt && (
+                                <button
+                                    onClick={() => handleUndo(j.journalPath)}
+                                    disabled={busy}
+                                    className="px-2 py-0.5 rounded bg-gray-700 hover:bg-gray-600 disabled:opacity-50"
+                                >
+                                    Undo
+                                </button>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
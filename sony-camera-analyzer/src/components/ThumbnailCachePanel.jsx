@@ -0,0 +1,71 @@
+import React, { useState, useEffect } from 'react';
+
+const MB = 1024 * 1024;
+const LIMITS_MB = [100, 250, 500, 1024, 2048, 5120];
+
+const formatSize = (bytes) => (bytes >= 1024 * MB ? `${(bytes / (1024 * MB)).toFixed(1)} GB` : `${(bytes / MB).toFixed(1)} MB`);
+
+export default function ThumbnailCachePanel({ busy }) {
+    const [usage, setUsage] = useState(null);
+    const [error, setError] = useState(null);
+    const [working, setWorking] = useState(false);
+
+    useEffect(() => {
+        window.electronAPI.getThumbnailCache().then(response => {
+            if (response.success) setUsage(response.data);
+            else setError(response.error);
+        });
+    }, []);
+
+    const run = async (action) => {
+        setWorking(true);
+        setError(null);
+        const response = await action();
+        if (response.success) setUsage(response.data);
+        else setError(response.error);
+        setWorking(false);
+    };
+
+    if (!usage) return error ? <p className="text-sm text-red-400">{error}</p> : null;
+
+    const limitMB = Math.round(usage.maxBytes / MB);
+    const limits = LIMITS_MB.includes(limitMB) ? LIMITS_MB : [...LIMITS_MB, limitMB].sort((a, b) => a - b);
+
+    return (
+        <div className="bg-gray-800/50 border border-gray-700 rounded-lg p-4 space-y-3">
+            <div>
+                <h2 className="text-lg font-semibold text-white">Thumbnail Cache</h2>
+                <p className="text-xs text-gray-400">
+                    Thumbnails rendered for clips without a camera thumbnail are kept in the app data folder, one per clip version.
+                    The least recently used ones are removed once the cache is full.
+                </p>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-6 text-sm text-gray-300">
+                <span>{usage.files} thumbnail(s), {formatSize(usage.bytes)} of {formatSize(usage.maxBytes)}</span>
+                <label className="flex items-center space-x-2">
+                    <span>Limit</span>
+                    <select
+                        value={limitMB}
+                        disabled={working}
+                        onChange={(e) => run(() => window.electronAPI.setThumbnailCacheLimit(Number(e.target.value) * MB))}
+                        className="px-2 py-1 rounded bg-gray-900 border border-gray-700 text-xs text-white"
+                    >
+                        {limits.map(mb => (
+                            <option key={mb} value={mb}>{formatSize(mb * MB)}</option>
+                        ))}
+                    </select>
+                </label>
+                <button
+                    onClick={() => run(() => window.electronAPI.clearThumbnailCache())}
+                    disabled={busy || working || usage.files === 0}
+                    className="px-4 py-2 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 rounded text-sm font-medium"
+                >
+                    Clear Cache
+                </button>
+            </div>
+
+            {error && <p className="text-sm text-red-400">{error}</p>}
+        </div>
+    );
+}
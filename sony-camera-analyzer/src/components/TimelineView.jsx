@@ -0,0 +1,183 @@
+import React, { useState, useMemo } from 'react';
+import MediaModal from './MediaModal';
+import { isProxyFile } from '../clipFilters';
+
+const LANE_COLORS = ['bg-blue-500', 'bg-purple-500', 'bg-teal-500', 'bg-orange-500', 'bg-pink-500', 'bg-lime-500'];
+const TICK_STEPS_MINUTES = [1, 5, 15, 30, 60, 120, 240];
+const MAX_TICKS = 12;
+
+const dayLabel = (date) => date.toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+
+const formatTime = (ms) => new Date(ms).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+
+const formatDuration = (seconds) => {
+    const total = Math.round(seconds);
+    const m = Math.floor(total / 60);
+    const s = total % 60;
+    return m >= 60 ? `${Math.floor(m / 60)}h ${m % 60}m` : `${m}m ${s}s`;
+};
+
+// One span per main clip: created is the start, created + duration the end
+function buildSpans(cameras) {
+    const spans = [];
+    for (const camera of cameras) {
+        for (const file of camera.files) {
+            if (isProxyFile(file) || !file.created) continue;
+            const start = new Date(file.created).getTime();
+            if (isNaN(start)) continue;
+            spans.push({ camera, file, start, end: start + (file.duration || 0) * 1000, day: dayLabel(new Date(start)) });
+        }
+    }
+    return spans.sort((a, b) => a.start - b.start);
+}
+
+// Stretches of the day by how many cameras were rolling (a camera's own overlapping clips count once)
+function buildCoverage(spans, rangeStart, rangeEnd) {
+    const events = [];
+    const byCamera = new Map();
+    for (const span of spans) {
+        if (!byCamera.has(span.camera.id)) byCamera.set(span.camera.id, []);
+        byCamera.get(span.camera.id).push(span);
+    }
+    for (const cameraSpans of byCamera.values()) {
+        let current = null;
+        for (const span of cameraSpans) {
+            if (current && span.start <= current.end) {
+                current.end = Math.max(current.end, span.end);
+                continue;
+            }
+            if (current) events.push([current.start, 1], [current.end, -1]);
+            current = { start: span.start, end: span.end };
+        }
+        if (current) events.push([current.start, 1], [current.end, -1]);
+    }
+    events.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+    const segments = [];
+    let count = 0;
+    let cursor = rangeStart;
+    for (const [time, delta] of events) {
+        if (time > cursor) segments.push({ start: cursor, end: time, count });
+        count += delta;
+        cursor = Math.max(cursor, time);
+    }
+    if (cursor < rangeEnd) segments.push({ start: cursor, end: rangeEnd, count });
+    return segments;
+}
+
+function buildTicks(rangeStart, rangeEnd) {
+    const minutes = (rangeEnd - rangeStart) / 60000;
+    const step = TICK_STEPS_MINUTES.find(s => minutes / s <= MAX_TICKS) || TICK_STEPS_MINUTES[TICK_STEPS_MINUTES.length - 1];
+    const stepMs = step * 60000;
+    const ticks = [];
+    for (let t = Math.ceil(rangeStart / stepMs) * stepMs; t <= rangeEnd; t += stepMs) ticks.push(t);
+    return ticks;
+}
+
+const coverageStyle = (count) => {
+    if (count === 0) return 'bg-red-900/40';
+    if (count === 1) return 'bg-gray-600';
+    return 'bg-green-600';
+};
+
+export default function TimelineView({ cameras, streamPort, mediaToken }) {
+    const spans = useMemo(() => buildSpans(cameras), [cameras]);
+    const days = [...new Set(spans.map(s => s.day))];
+    const [selectedDay, setSelectedDay] = useState(null);
+    const [selected, setSelected] = useState(null);
+
+    if (spans.length === 0) {
+        return <p className="text-sm text-gray-400">No clips with a recording date to place on a timeline.</p>;
+    }
+
+    const day = days.includes(selectedDay) ? selectedDay : days[0];
+    const daySpans = spans.filter(s => s.day === day);
+    const firstStart = daySpans[0].start;
+    const lastEnd = Math.max(...daySpans.map(s => s.end));
+    const padding = Math.max((lastEnd - firstStart) * 0.02, 30000);
+    const rangeStart = firstStart - padding;
+    const rangeEnd = lastEnd + padding;
+    const percent = (time) => ((time - rangeStart) / (rangeEnd - rangeStart)) * 100;
+
+    const lanes = cameras
+        .map((camera, index) => ({ camera, color: LANE_COLORS[index % LANE_COLORS.length], spans: daySpans.filter(s => s.camera === camera) }))
+        .filter(lane => lane.spans.length > 0);
+    const coverage = buildCoverage(daySpans, rangeStart, rangeEnd);
+
+    return (
+        <div className="bg-gray-800/50 border border-gray-700 rounded-lg p-4 space-y-3">
+            <div className="flex items-center justify-between">
+                <div>
+                    <h2 className="text-lg font-semibold text-white">Recording Timeline</h2>
+                    <p className="text-xs text-gray-400">Each bar runs from the clip's recording time for its duration. Click a bar to play the clip.</p>
+                </div>
+                {days.length > 1 && (
+                    <select value={day} onChange={(e) => setSelectedDay(e.target.value)} className="px-2 py-1 rounded bg-gray-900 border border-gray-700 text-xs text-white">
+                        {days.map(d => <option key={d} value={d}>{d}</option>)}
+                    </select>
+                )}
+            </div>
+
+            <div className="flex text-xs">
+                <span className="w-48 shrink-0"></span>
+                <div className="relative flex-1 h-4 text-gray-500">
+                    {buildTicks(rangeStart, rangeEnd).map(tick => (
+                        <span key={tick} className="absolute -translate-x-1/2" style={{ left: `${percent(tick)}%` }}>{formatTime(tick)}</span>
+                    ))}
+                </div>
+            </div>
+
+            {lanes.map(({ camera, color, spans: laneSpans }) => (
+                <div key={camera.id} className="flex items-center text-xs">
+                    <span className="w-48 shrink-0 pr-2 truncate text-gray-300" title={`${camera.model} · S/N ${camera.id}${camera.operator ? ` · ${camera.operator}` : ''}`}>
+                        {camera.label || `${camera.model} ${camera.id}`}
+                    </span>
+                    <div className="relative flex-1 h-7 bg-gray-900 rounded">
+                        {laneSpans.map(span => (
+                            <button
+                                key={span.file.filePath}
+                                onClick={() => setSelected(span)}
+                                title={`${span.file.fileName} · ${formatTime(span.start)}–${formatTime(span.end)} · ${formatDuration((span.end - span.start) / 1000)}`}
+                                className={`absolute top-1 bottom-1 rounded-sm ${camera.color ? '' : color} hover:ring-2 hover:ring-white`}
+                                style={{
+                                    left: `${percent(span.start)}%`,
+                                    width: `${Math.max(percent(span.end) - percent(span.start), 0.3)}%`,
+                                    backgroundColor: camera.color || undefined
+                                }}
+                            />
+                        ))}
+                    </div>
+                </div>
+            ))}
+
+            <div className="flex items-center text-xs">
+                <span className="w-48 shrink-0 pr-2 text-gray-400">Coverage</span>
+                <div className="relative flex-1 h-3 rounded overflow-hidden">
+                    {coverage.map(segment => (
+                        <div
+                            key={segment.start}
+                            title={`${formatTime(segment.start)}–${formatTime(segment.end)} · ${segment.count} camera(s) rolling`}
+                            className={`absolute top-0 bottom-0 ${coverageStyle(segment.count)}`}
+                            style={{ left: `${percent(segment.start)}%`, width: `${percent(segment.end) - percent(segment.start)}%` }}
+                        />
+                    ))}
+                </div>
+            </div>
+            <div className="flex justify-end space-x-4 text-xs text-gray-400">
+                <span><span className="inline-block w-3 h-2 mr-1 bg-green-600"></span>Several cameras</span>
+                <span><span className="inline-block w-3 h-2 mr-1 bg-gray-600"></span>One camera</span>
+                <span><span className="inline-block w-3 h-2 mr-1 bg-red-900/40"></span>Nothing rolling</span>
+            </div>
+
+            {selected && (
+                <MediaModal
+                    file={selected.file}
+                    cameraFiles={selected.camera.files}
+                    streamPort={streamPort}
+                    mediaToken={mediaToken}
+                    onClose={() => setSelected(null)}
+                />
+            )}
+        </div>
+    );
+}
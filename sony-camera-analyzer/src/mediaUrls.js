@@ -0,0 +1,3 @@
+// media:// URL for a local file (see the protocol handler in main.cjs); it is
+// refused without the session's media token
+export const mediaUrl = (filePath, token) => `media://file?path=${encodeURIComponent(filePath)}&token=${token}`;